@@ -111,7 +111,7 @@
         
         performStageUpdate() {
             // 기존 updateForce와 동일하지만 최적화된 버전
-            if (Entry.stage._app) {
+            if (Entry.stage._app && typeof Entry.stage._app.render === 'function') {
                 // 렌더링 전 최적화 체크
                 this.optimizeBeforeRender();
                 
@@ -402,7 +402,7 @@
                 try {
                     if (Entry.engine && Entry.engine.isState('run')) {
                         // 최적화된 객체 업데이트
-                        if (Entry.container && Entry.container.mapObjectOnScene) {
+                        if (Entry.container && typeof Entry.container.mapObjectOnScene === 'function') {
                             Entry.container.mapObjectOnScene(this.optimizedComputeFunction);
                         }
                         
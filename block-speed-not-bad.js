@@ -123,7 +123,7 @@
         
         performStageUpdate() {
             // 기존 updateForce와 동일하지만 최적화된 버전
-            if (Entry.stage._app) {
+            if (Entry.stage._app && typeof Entry.stage._app.render === 'function') {
                 // 렌더링 전 최적화 체크
                 this.optimizeBeforeRender();
                 
@@ -739,7 +739,9 @@
         
         // 객체 컬링 시스템 (Performance 모드)
         enableObjectCulling() {
-            if (!Entry.container || !Entry.container.mapObjectOnScene) return;
+            // 컬링은 getCurrentObjects로 목록을 얻어 원래 mapObjectOnScene(func) 자리를 대신한다
+            if (!Entry.container || typeof Entry.container.mapObjectOnScene !== 'function' ||
+                typeof Entry.container.getCurrentObjects !== 'function') return;
             
             this.originalFunctions.set('container.mapObjectOnScene', Entry.container.mapObjectOnScene);
             
@@ -787,7 +789,8 @@
         
         // 스프라이트 움직임 최적화 (안전한 버전)
         optimizeSpriteMovements() {
-            if (!Entry.EntityObject || !Entry.EntityObject.prototype.setX) return;
+            const entityProto = Entry.EntityObject && Entry.EntityObject.prototype;
+            if (!entityProto || typeof entityProto.setX !== 'function' || typeof entityProto.setY !== 'function') return;
             
             this.originalFunctions.set('entity.setX', Entry.EntityObject.prototype.setX);
             this.originalFunctions.set('entity.setY', Entry.EntityObject.prototype.setY);
@@ -891,7 +894,7 @@
                 try {
                     if (Entry.engine && Entry.engine.isState('run')) {
                         // 최적화된 객체 업데이트
-                        if (Entry.container && Entry.container.mapObjectOnScene) {
+                        if (Entry.container && typeof Entry.container.mapObjectOnScene === 'function') {
                             Entry.container.mapObjectOnScene(this.optimizedComputeFunction);
                         }
                         
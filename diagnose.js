@@ -0,0 +1,234 @@
+// Entry.js 패치 지점 호환성 진단 도구
+// 다른 도구들이 덮어쓰거나 기대하는 EntryJS 내부 API가 지금 빌드에 있는지,
+// 모양(함수 여부, 인자 수, 내부 구현 흔적)이 맞는지 검사해 표로 보여 준다.
+// 아무것도 패치하지 않으므로 다른 도구보다 먼저 단독으로 실행할 수 있다.
+(function() {
+    if (typeof Entry === 'undefined') {
+        console.error('❌ Entry 객체를 찾을 수 없습니다.');
+        return;
+    }
+    
+    const STATUS = {
+        ok: '✅ 호환',
+        warn: '⚠️ 부분 호환',
+        missing: '❌ 없음'
+    };
+    
+    function result(status, detail) {
+        return { status: status, detail: detail };
+    }
+    
+    // 함수의 소스에 특정 이름이 나오는지 (속성 이름은 난독화 빌드에서도 남는다)
+    function sourceMentions(fn, names) {
+        let source = '';
+        try {
+            source = Function.prototype.toString.call(fn);
+        } catch (e) {
+            return false;
+        }
+        return names.every(name => source.indexOf(name) !== -1);
+    }
+    
+    function checkFunction(owner, name, arity, markers) {
+        if (!owner || typeof owner[name] !== 'function') {
+            return result('missing', name + ' 함수가 없습니다.');
+        }
+        const fn = owner[name];
+        if (arity !== undefined && fn.length !== arity) {
+            return result('warn', '인자 수가 ' + fn.length + '개입니다. (예상 ' + arity + '개)');
+        }
+        if (markers && !sourceMentions(fn, markers)) {
+            return result('warn', '구현이 예상과 다릅니다. (' + markers.join(', ') + ' 사용 흔적 없음)');
+        }
+        return result('ok', '');
+    }
+    
+    // 실행 중이거나 대기 중인 Code 인스턴스 (오브젝트마다 하나씩)
+    function findCodeInstance() {
+        if (Entry.engine && Entry.engine.code) {
+            return Entry.engine.code;
+        }
+        if (Entry.container && Entry.container.getAllObjects) {
+            const object = Entry.container.getAllObjects().find(item => item.script && item.script.watchEvent);
+            return object ? object.script : null;
+        }
+        return null;
+    }
+    
+    // 패치 지점 목록: 어떤 도구가 쓰는지와 검사 방법
+    // usedBy가 빈 항목은 결과를 읽는 도구가 없는 참고용이다. (block-speed-*.js는 이 결과를 읽지 않고 패치할 때 직접 함수인지 확인함)
+    const probes = [
+        {
+            id: 'codeTick',
+            label: 'Entry.Code.prototype.tick',
+            usedBy: 'best.js, great.js, project-page.js',
+            check: () => checkFunction(Entry.Code && Entry.Code.prototype, 'tick', 0, ['executors'])
+        },
+        {
+            id: 'executorApi',
+            label: 'Entry.Executor (isPause / isEnd / execute)',
+            usedBy: '반복문 도구 전체',
+            check: () => {
+                if (!Entry.Executor || !Entry.Executor.prototype) {
+                    return result('missing', 'Entry.Executor가 노출되지 않았습니다.');
+                }
+                const missing = ['isPause', 'isEnd', 'execute']
+                    .filter(name => typeof Entry.Executor.prototype[name] !== 'function');
+                return missing.length ? result('missing', missing.join(', ') + ' 없음') : result('ok', '');
+            }
+        },
+        {
+            id: 'isLooped',
+            label: 'executor.isLooped',
+            usedBy: '반복문 도구 전체',
+            // 원본 tick이 isLooped로 반복 실행자를 고르는지 확인한다
+            check: () => {
+                const tick = Entry.Code && Entry.Code.prototype && Entry.Code.prototype.tick;
+                if (typeof tick !== 'function') {
+                    return result('missing', 'tick이 없어 확인할 수 없습니다.');
+                }
+                return sourceMentions(tick, ['isLooped'])
+                    ? result('ok', '')
+                    : result('warn', '원본 tick이 isLooped를 쓰지 않습니다. 반복문 가속이 동작하지 않을 수 있습니다.');
+            }
+        },
+        {
+            id: 'watchEvent',
+            label: 'code.watchEvent.hasListeners',
+            usedBy: '반복문 도구 전체',
+            check: () => {
+                const code = findCodeInstance();
+                if (code) {
+                    return code.watchEvent && typeof code.watchEvent.hasListeners === 'function'
+                        ? result('ok', '')
+                        : result('missing', 'Code 인스턴스의 watchEvent에 hasListeners가 없습니다.');
+                }
+                return checkFunction(Entry.Event && Entry.Event.prototype, 'hasListeners');
+            }
+        },
+        {
+            id: 'addPromiseExecutor',
+            label: 'Entry.engine.addPromiseExecutor',
+            usedBy: '반복문 도구 전체',
+            check: () => checkFunction(Entry.engine, 'addPromiseExecutor')
+        },
+        {
+            id: 'callStackLength',
+            label: 'Entry.callStackLength',
+            usedBy: 'best.js, great.js, good.js, project-page.js',
+            check: () => {
+                const descriptor = Object.getOwnPropertyDescriptor(Entry, 'callStackLength');
+                if (!descriptor) {
+                    return result('missing', '속성이 없습니다.');
+                }
+                if (descriptor.get || typeof descriptor.value === 'number') {
+                    return descriptor.configurable === false
+                        ? result('warn', '재정의할 수 없는 속성입니다.')
+                        : result('ok', descriptor.get ? '이미 다른 도구가 재정의함' : '');
+                }
+                return result('warn', '숫자가 아닙니다: ' + typeof descriptor.value);
+            }
+        },
+        {
+            id: 'stageApp',
+            label: 'Entry.stage._app',
+            usedBy: '',
+            check: () => {
+                if (!Entry.stage || !Entry.stage._app) {
+                    return result('missing', 'PIXI 앱이 없습니다. (스테이지 초기화 전이거나 다른 렌더러)');
+                }
+                return checkFunction(Entry.stage._app, 'render');
+            }
+        },
+        {
+            id: 'mapObjectOnScene',
+            label: 'Entry.container.mapObjectOnScene',
+            usedBy: 'best.js, great.js, project-page.js',
+            check: () => checkFunction(Entry.container, 'mapObjectOnScene', 1)
+        },
+        {
+            id: 'entitySetX',
+            label: 'Entry.EntityObject.prototype.setX',
+            usedBy: '',
+            check: () => checkFunction(Entry.EntityObject && Entry.EntityObject.prototype, 'setX', 1)
+        },
+        {
+            id: 'speedControl',
+            label: 'Entry.engine.setSpeedMeter / toggleSpeedPanel',
+            usedBy: 'best.js, great.js, project-page.js',
+            // 터보 단계 칸은 속도 패널을 열 때 만들어지는 speedProgress_ 표에 붙는다
+            check: () => {
+                const toggle = checkFunction(Entry.engine, 'toggleSpeedPanel', 0, ['speedProgress_']);
+                return toggle.status !== 'ok' ? toggle : checkFunction(Entry.engine, 'setSpeedMeter', 1);
+            }
+        },
+        {
+            id: 'blockStep',
+            label: 'Entry.Block.prototype.getSchema / Entry.STATIC.BREAK',
+            usedBy: 'best.js, great.js, project-page.js',
+            // 블록 단위 단계는 execute가 블록마다 getSchema를 읽고 BREAK에서 멈추는 것에 기댄다
+            check: () => {
+                const schema = checkFunction(Entry.Block && Entry.Block.prototype, 'getSchema');
+                if (schema.status !== 'ok') {
+                    return schema;
+                }
+                if (!Entry.STATIC || Entry.STATIC.BREAK === undefined) {
+                    return result('missing', 'Entry.STATIC.BREAK가 없습니다.');
+                }
+                const execute = Entry.Executor && Entry.Executor.prototype && Entry.Executor.prototype.execute;
+                return typeof execute === 'function' && sourceMentions(execute, ['getSchema', 'BREAK'])
+                    ? result('ok', '')
+                    : result('warn', 'execute 구현이 달라 블록 단위 단계를 쓸 수 없습니다.');
+            }
+        }
+    ];
+    
+    function check() {
+        const results = {};
+        probes.forEach(probe => {
+            let outcome;
+            try {
+                outcome = probe.check();
+            } catch (e) {
+                outcome = result('warn', '검사 중 오류: ' + e.message);
+            }
+            results[probe.id] = Object.assign({ label: probe.label, usedBy: probe.usedBy }, outcome);
+        });
+        return results;
+    }
+    
+    function print(results) {
+        const rows = {};
+        Object.keys(results).forEach(id => {
+            const item = results[id];
+            rows[item.label] = {
+                상태: STATUS[item.status],
+                사용: item.usedBy || '참고용',
+                설명: item.detail
+            };
+        });
+        console.log('🩺 EntryJS 패치 지점 호환성');
+        console.table(rows);
+        
+        const broken = Object.keys(results).filter(id => results[id].status !== 'ok');
+        const guarded = broken.filter(id => results[id].usedBy);
+        if (broken.length === 0) {
+            console.log('✓ 모든 패치 지점이 호환됩니다.');
+        } else if (guarded.length > 0) {
+            console.warn('⚠️ 호환되지 않는 패치 지점', guarded.length + '개: 해당 도구는 그 패치를 건너뛰거나 축소해서 적용합니다.');
+        }
+        if (broken.length > guarded.length) {
+            console.warn('⚠️ 참고용 항목', (broken.length - guarded.length) + '개가 호환되지 않습니다. 이 결과를 읽는 도구는 없습니다.');
+        }
+        return results;
+    }
+    
+    window.EntryPatchDiagnostics = {
+        probes: probes,
+        check: check,
+        print: print
+    };
+    window.diagnose = () => print(check());
+    
+    window.diagnose();
+})();
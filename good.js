@@ -19,13 +19,16 @@
         // 함수 호출 설정
         functionSettings: {
             maxCallStackDepth: Infinity,     // 최대 함수 호출 깊이 (기본: 무제한)
-            enableRecursionCheck: false      // 재귀 호출 체크 활성화 여부
+            enableRecursionCheck: false,     // 재귀 호출 체크 활성화 여부
+            functionDepthLimits: {}          // 함수 id별 재귀 깊이 제한
         },
         // 전역 실행 설정
         globalSettings: {
             turboMode: true,                 // 터보 모드 강제 활성화
             unlimitedExecution: false,       // 완전 무제한 실행 모드
-            executionSpeed: 'max'            // 'normal', 'fast', 'max'
+            executionSpeed: 'max',           // 'normal', 'fast', 'max'
+            tickStrategy: 'copy',            // 'copy': 복사한 tick 본문 사용, 'wrap': 원본 tick을 반복 호출
+            isolateErrors: true              // 실행 오류가 난 실행자만 멈추고 기록 (false면 Entry처럼 프로젝트 전체 정지)
         }
     };
     
@@ -36,7 +39,9 @@
         codeTick: null,
         executorExecute: null,
         executor2Execute: null,
-        funcExecute: null
+        funcExecute: null,
+        stopProjectWithToast: null,
+        maximumCallStack: undefined
     };
     
     // 1. Entry.isTurbo 설정
@@ -48,157 +53,541 @@
     console.log('✓ Entry.tickTime 설정 완료:', Entry.tickTime, 'ms');
     
     // 3. Code.tick 메서드 오버라이드 (반복문 제한 조정)
-    if (Entry.engine && Entry.engine.code) {
-        originalMethods.codeTick = Entry.engine.code.tick;
-        Entry.engine.code.tick = function() {
-            const config = window.EntryExecutionConfig;
-            
-            if (config.loopSettings.enabled && !this.isUpdateTime) {
-                this.isUpdateTime = performance.now();
+    // 비동기 블록(소리 재생, 확장 블록, AI 블록 등)이 돌려준 Promise는 tick의 모든 실행에서 모아
+    // 엔진에 한 번씩만 등록하고, 끝나지 않은 Promise가 있는 실행자는 반복 패스에서 대기 중으로 본다.
+    const pendingPromises = new WeakMap(); // 실행자 → 끝나지 않은 Promise 목록
+    
+    function collectPromises(collected, executor, result) {
+        if (!result || !result.promises) {
+            return;
+        }
+        result.promises.forEach(promise => {
+            if (!promise || collected.has(promise)) {
+                return;
             }
+            collected.add(promise);
+            if (typeof promise.then !== 'function') {
+                return;
+            }
+            let pending = pendingPromises.get(executor);
+            if (!pending) {
+                pending = new Set();
+                pendingPromises.set(executor, pending);
+            }
+            if (!pending.has(promise)) {
+                pending.add(promise);
+                const settle = () => pending.delete(promise);
+                promise.then(settle, settle);
+            }
+        });
+    }
+    
+    function isWaiting(executor) {
+        if (executor.isPause()) {
+            return true;
+        }
+        const pending = pendingPromises.get(executor);
+        return !!pending && pending.size > 0;
+    }
+    
+    const patchedTick = function() {
+        const config = window.EntryExecutionConfig;
+        
+        if (config.globalSettings.tickStrategy === 'wrap') {
+            wrapOriginalTick(this);
+            return;
+        }
+        
+        if (config.loopSettings.enabled && !this.isUpdateTime) {
+            this.isUpdateTime = performance.now();
+        }
+        
+        const executors = this.executors;
+        const watchEvent = this.watchEvent;
+        // 빌드에 watchEvent.hasListeners나 addPromiseExecutor가 없으면 그 단계만 건너뛴다
+        const shouldNotifyWatch = !!watchEvent && typeof watchEvent.hasListeners === 'function' &&
+            watchEvent.hasListeners();
+        let result;
+        let executedBlocks = [];
+        const promises = new Set(); // 이번 tick의 모든 실행에서 모은 Promise
+        const loopExecutor = [];
+        
+        const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
+        const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
+        
+        // 일반 실행자들 처리
+        for (let i = 0; i < executors.length; i++) {
+            const executor = executors[i];
+            if (executor.isPause()) {
+                continue;
+            } else if (!executor.isEnd()) {
+                const { view } = executor.scope.block || {};
+                _executeEvent(view);
+                result = executor.execute(true);
+                collectPromises(promises, executor, result);
+                if (executor.isLooped) {
+                    loopExecutor.push(executor);
+                }
+                if (shouldNotifyWatch) {
+                    const { blocks } = result;
+                    executedBlocks = executedBlocks.concat(blocks);
+                }
+            } else if (executor.isEnd()) {
+                _executeEndEvent(this.board);
+                executors.splice(i--, 1);
+                if (_.isEmpty(executors)) {
+                    this.executeEndEvent.notify();
+                }
+            }
+        }
+        
+        // 반복문 실행자들 처리 (설정 가능)
+        if (Entry.isTurbo && loopExecutor.length > 0) {
+            let executionCount = 0;
+            const maxExecutions = config.loopSettings.maxExecutionsPerFrame;
+            const unlimitedMode = config.globalSettings.unlimitedExecution;
             
-            const executors = this.executors;
-            const watchEvent = this.watchEvent;
-            const shouldNotifyWatch = watchEvent.hasListeners();
-            let result;
-            let executedBlocks = [];
-            const loopExecutor = [];
-            
-            const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
-            const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
-            
-            // 일반 실행자들 처리
-            for (let i = 0; i < executors.length; i++) {
-                const executor = executors[i];
-                if (executor.isPause()) {
+            for (let i = 0; i < loopExecutor.length; i++) {
+                const executor = loopExecutor[i];
+                if (isWaiting(executor)) {
+                    // 일시정지했거나 끝나지 않은 Promise를 기다리는 중
                     continue;
                 } else if (!executor.isEnd()) {
                     const { view } = executor.scope.block || {};
                     _executeEvent(view);
                     result = executor.execute(true);
-                    if (executor.isLooped) {
-                        loopExecutor.push(executor);
-                    }
+                    collectPromises(promises, executor, result);
+                    executionCount++;
+                    
                     if (shouldNotifyWatch) {
                         const { blocks } = result;
                         executedBlocks = executedBlocks.concat(blocks);
                     }
                 } else if (executor.isEnd()) {
                     _executeEndEvent(this.board);
-                    executors.splice(i--, 1);
-                    if (_.isEmpty(executors)) {
+                    loopExecutor.splice(i--, 1);
+                    if (_.isEmpty(loopExecutor)) {
                         this.executeEndEvent.notify();
                     }
                 }
-            }
-            
-            // 반복문 실행자들 처리 (설정 가능)
-            if (Entry.isTurbo && loopExecutor.length > 0) {
-                let executionCount = 0;
-                const maxExecutions = config.loopSettings.maxExecutionsPerFrame;
-                const unlimitedMode = config.globalSettings.unlimitedExecution;
                 
-                for (let i = 0; i < loopExecutor.length; i++) {
-                    const executor = loopExecutor[i];
-                    if (executor.isPause()) {
-                        continue;
-                    } else if (!executor.isEnd()) {
-                        const { view } = executor.scope.block || {};
-                        _executeEvent(view);
-                        result = executor.execute(true);
-                        executionCount++;
-                        
-                        if (shouldNotifyWatch) {
-                            const { blocks } = result;
-                            executedBlocks = executedBlocks.concat(blocks);
-                        }
-                    } else if (executor.isEnd()) {
-                        _executeEndEvent(this.board);
-                        loopExecutor.splice(i--, 1);
-                        if (_.isEmpty(loopExecutor)) {
-                            this.executeEndEvent.notify();
+                // 실행 제한 체크 (설정에 따라 조정)
+                if (i === loopExecutor.length - 1) {
+                    if (unlimitedMode) {
+                        // 무제한 모드: 계속 실행
+                        i = -1;
+                    } else if (config.loopSettings.enabled) {
+                        // 설정된 횟수만큼 실행
+                        if (executionCount >= maxExecutions) {
+                            break;
                         }
-                    }
-                    
-                    // 실행 제한 체크 (설정에 따라 조정)
-                    if (i === loopExecutor.length - 1) {
-                        if (unlimitedMode) {
-                            // 무제한 모드: 계속 실행
-                            i = -1;
-                        } else if (config.loopSettings.enabled) {
-                            // 설정된 횟수만큼 실행
-                            if (executionCount >= maxExecutions) {
-                                break;
-                            }
+                        i = -1;
+                    } else {
+                        // 시간 기반 제한 (원래 로직)
+                        if (Entry.tickTime > performance.now() - this.isUpdateTime) {
                             i = -1;
-                        } else {
-                            // 시간 기반 제한 (원래 로직)
-                            if (Entry.tickTime > performance.now() - this.isUpdateTime) {
-                                i = -1;
-                            }
                         }
                     }
                 }
             }
-            
-            this.isUpdateTime = 0;
-            shouldNotifyWatch && watchEvent.notify(executedBlocks);
-            if (result && result.promises) {
-                Entry.engine.addPromiseExecutor(result.promises);
+        }
+        
+        this.isUpdateTime = 0;
+        shouldNotifyWatch && watchEvent.notify(executedBlocks);
+        if (promises.size > 0 && Entry.engine && typeof Entry.engine.addPromiseExecutor === 'function') {
+            Entry.engine.addPromiseExecutor(Array.from(promises));
+        }
+    };
+    
+    // 3-1. 원본 tick 감싸기 (tickStrategy: 'wrap')
+    // 복사본 대신 EntryJS의 원래 Code.tick을 한 프레임 안에서 여러 번 부른다. 원본은 isUpdateTime부터
+    // Entry.tickTime이 지날 때까지 반복 패스를 돌므로, 호출마다 WRAP_SLICE_MS 안쪽의 시간 창을 주고
+    // execute 감싸개가 반복 실행 수를 세다가 프레임 몫을 다 쓰면 tickTime을 0으로 내려 원본의 반복 패스를 끝낸다.
+    // 원본을 다시 부를 때는 반복문이 아닌 실행자의 isPause를 잠시 true로 가려 프레임당 한 번만 실행되게 한다.
+    const WRAP_SLICE_MS = 8;
+    const wrapState = {
+        loopExecutions: 0,     // 반복 실행자가 실행된 횟수 (4의 execute 감싸개가 센다)
+        msPerExecution: 0.01,  // 반복 1회에 드는 시간 (평균, ms)
+        calling: false,        // 원본 tick을 부르는 중
+        stopAt: Infinity       // loopExecutions가 여기에 이르면 execute 감싸개가 시간 창을 닫는다
+    };
+    
+    const holdPause = () => true;
+    
+    function wrapOriginalTick(code) {
+        const config = window.EntryExecutionConfig;
+        const originalTick = originalMethods.codeTick || Entry.Code.prototype.tick;
+        const unlimitedMode = config.globalSettings.unlimitedExecution;
+        if (!Entry.isTurbo || (!unlimitedMode && !config.loopSettings.enabled)) {
+            // 시간 기반 제한은 원본 로직 그대로
+            originalTick.call(code);
+            return;
+        }
+        
+        const limit = unlimitedMode ? Infinity : config.loopSettings.maxExecutionsPerFrame;
+        const savedTickTime = Entry.tickTime;
+        let executionCount = 0;
+        let calls = 0;
+        try {
+            while (executionCount < limit) {
+                const before = wrapState.loopExecutions;
+                const callStart = performance.now();
+                // 반복 실행자가 모두 멈춰 있으면 한 바퀴만 돌도록 창을 0으로 준다
+                const waiting = code.executors.every(executor => !executor.isLooped || executor.isEnd() || executor.isPause());
+                Entry.tickTime = waiting ? 0 : Math.min((limit - executionCount) * wrapState.msPerExecution, WRAP_SLICE_MS);
+                code.isUpdateTime = callStart;
+                wrapState.stopAt = before + limit - executionCount;
+                const held = calls++ === 0 ? [] : code.executors.filter(executor =>
+                    !executor.isLooped && !Object.prototype.hasOwnProperty.call(executor, 'isPause'));
+                held.forEach(executor => {
+                    executor.isPause = holdPause;
+                });
+                wrapState.calling = true;
+                try {
+                    originalTick.call(code);
+                } finally {
+                    wrapState.calling = false;
+                    held.forEach(executor => {
+                        delete executor.isPause;
+                    });
+                }
+                const ran = wrapState.loopExecutions - before;
+                // 반복 실행자가 없거나 모두 대기 중이면 더 불러도 소용없다
+                if (ran === 0) {
+                    break;
+                }
+                executionCount += ran;
+                wrapState.msPerExecution = wrapState.msPerExecution * 0.9 + (performance.now() - callStart) / ran * 0.1;
             }
+        } finally {
+            Entry.tickTime = savedTickTime;
+            code.isUpdateTime = 0;
+        }
+    }
+    
+    // 프로젝트를 다시 불러오거나 장면을 바꾸면 새 Code 인스턴스가 만들어져 패치가 사라진다.
+    // 그래서 패치 대상은 필요할 때마다 다시 찾아 설치한다.
+    function findCodeInstances() {
+        const codes = [];
+        if (Entry.engine && Entry.engine.code) {
+            codes.push(Entry.engine.code);
+        }
+        if (Entry.container && Entry.container.getAllObjects) {
+            Entry.container.getAllObjects().forEach(object => {
+                if (object.script && object.script.tick && codes.indexOf(object.script) === -1) {
+                    codes.push(object.script);
+                }
+            });
+        }
+        return codes;
+    }
+    
+    // 새로 패치한 인스턴스 수를 돌려준다
+    function installTickPatch() {
+        let installed = 0;
+        findCodeInstances().forEach(code => {
+            if (code.tick === patchedTick) {
+                return;
+            }
+            if (!originalMethods.codeTick) {
+                originalMethods.codeTick = code.tick;
+            }
+            code.tick = patchedTick;
+            installed++;
+        });
+        return installed;
+    }
+    
+    function countPatchedCodes() {
+        return findCodeInstances().filter(code => code.tick === patchedTick).length;
+    }
+    
+    // 원본 메서드를 부른 뒤 패치를 다시 설치하도록 감싼다
+    const hookedMethods = [];
+    function reinstallAfter(owner, name) {
+        if (!owner || typeof owner[name] !== 'function') {
+            return;
+        }
+        const original = owner[name];
+        owner[name] = function() {
+            const result = original.apply(this, arguments);
+            const reinstall = () => {
+                const installed = installTickPatch();
+                if (installed > 0) {
+                    console.log('✓ Code.tick 재적용 (' + name + '):', installed + '개');
+                }
+            };
+            reinstall();
+            // loadProject처럼 비동기로 끝나는 경우
+            if (result && typeof result.then === 'function') {
+                result.then(reinstall, () => {});
+            }
+            return result;
         };
-        console.log('✓ Code.tick 메서드 오버라이드 완료');
+        hookedMethods.push({ owner: owner, name: name, original: original });
     }
     
+    const installed = installTickPatch();
+    reinstallAfter(Entry, 'loadProject');
+    reinstallAfter(Entry.scene, 'selectScene');
+    reinstallAfter(Entry.engine, 'toggleRun');
+    console.log('✓ Code.tick 메서드 오버라이드 완료:', installed + '개');
+    console.log('✓ 프로젝트 로드 / 장면 전환 / 실행 시 자동 재적용 설정 완료');
+    
     // 4. 함수 호출 스택 제한 오버라이드
+    // Entry.callStackLength는 모든 오브젝트에서 진행 중인 함수 호출을 합친 값이라 어떤 함수가
+    // 재귀했는지 알 수 없다. 그래서 한도 검사는 함수 실행자(isFuncExecutor)의 execute를 감싸
+    // 실제 호출 사슬을 따라가며 하고, 함수별 호출 수, 최대 재귀 깊이, 실행 시간도 함께 모은다.
     const originalCallStackCheck = Entry.callStackLength;
-    Object.defineProperty(Entry, 'callStackLength', {
-        get: function() {
-            return this._callStackLength || 0;
-        },
-        set: function(value) {
-            const config = window.EntryExecutionConfig.functionSettings;
-            
-            if (!config.enableRecursionCheck) {
-                // 재귀 체크 비활성화 시 항상 0으로 유지
-                this._callStackLength = 0;
-                return;
-            }
-            
-            if (value > config.maxCallStackDepth) {
-                if (config.maxCallStackDepth !== Infinity) {
-                    throw new RangeError('함수 호출 깊이 제한 초과');
+    const callStackDescriptor = Object.getOwnPropertyDescriptor(Entry, 'callStackLength');
+    if (callStackDescriptor && callStackDescriptor.configurable === false) {
+        console.warn('⚠️ Entry.callStackLength를 재정의할 수 없어 재귀 체크 끄기가 적용되지 않습니다.');
+    } else {
+        Object.defineProperty(Entry, 'callStackLength', {
+            configurable: true,
+            get: function() {
+                return this._callStackLength || 0;
+            },
+            set: function(value) {
+                const config = window.EntryExecutionConfig.functionSettings;
+                
+                if (!config.enableRecursionCheck) {
+                    // 재귀 체크 비활성화 시 항상 0으로 유지
+                    this._callStackLength = 0;
+                    return;
                 }
+                this._callStackLength = value;
             }
-            this._callStackLength = value;
+        });
+    }
+    
+    // Entry 기본 한도는 끄고 아래의 호출 사슬 검사로 대신한다
+    if (Entry.Executor && typeof Entry.Executor.MAXIMUM_CALLSTACK === 'number') {
+        originalMethods.maximumCallStack = Entry.Executor.MAXIMUM_CALLSTACK;
+        Entry.Executor.MAXIMUM_CALLSTACK = Infinity;
+    }
+    
+    class FunctionDepthError extends RangeError {
+        constructor(chain, depth, limit, recursive) {
+            super('함수 호출 깊이 제한 초과: ' + formatCallChain(chain) +
+                ' (' + (recursive ? '"' + chain[chain.length - 1] + '" 재귀 ' : '') + '깊이 ' + depth + ', 제한 ' + limit + ')');
+            this.name = 'FunctionDepthError';
+            this.chain = chain;
+            this.depth = depth;
+            this.limit = limit;
         }
-    });
-    console.log('✓ 함수 호출 스택 제한 오버라이드 완료');
+    }
+    window.EntryExecutionConfig.FunctionDepthError = FunctionDepthError;
     
-    // 5. Executor 클래스들의 RangeError 처리 오버라이드
-    function overrideExecutorErrorHandling(ExecutorClass) {
-        if (!ExecutorClass || !ExecutorClass.prototype.execute) return;
-        
-        const originalExecute = ExecutorClass.prototype.execute;
-        ExecutorClass.prototype.execute = function(isFromOrigin) {
+    // 사슬이 길면 처음과 끝만 보여 준다
+    function formatCallChain(names) {
+        if (names.length <= 10) {
+            return names.join(' → ');
+        }
+        return names.slice(0, 3).join(' → ') + ' → … (' + (names.length - 9) + '개 생략) → ' + names.slice(-6).join(' → ');
+    }
+    
+    const functionProfile = {
+        stats: new Map(),      // 함수 id → { functionId, name, calls, maxDepth, time }
+        ids: new WeakMap(),    // 함수 실행자 → 함수 id (처음 실행할 때 정한다)
+        executing: [],         // 실행 중인 실행자 (안쪽이 마지막)
+        chain: [],             // 실행 중인 함수 호출 (안쪽이 마지막)
+        maxDepth: 0,           // 지금까지 가장 깊었던 호출 사슬
+        lastError: null
+    };
+    
+    function functionName(functionId) {
+        const container = Entry.variableContainer;
+        const func = container && container.getFunction ? container.getFunction(functionId) : null;
+        return (func && (func.name || func.description)) || functionId;
+    }
+    
+    // 함수 id 또는 함수 이름
+    function resolveFunctionId(target) {
+        const functions = (Entry.variableContainer && Entry.variableContainer.functions_) || {};
+        if (functions[target]) {
+            return target;
+        }
+        const id = Object.keys(functions).find(key => functionName(key) === target);
+        return id === undefined ? target : id;
+    }
+    
+    function functionStats(functionId) {
+        let stats = functionProfile.stats.get(functionId);
+        if (!stats) {
+            stats = { functionId: functionId, name: functionName(functionId), calls: 0, maxDepth: 0, time: 0 };
+            functionProfile.stats.set(functionId, stats);
+        }
+        return stats;
+    }
+    
+    // 함수 실행자는 호출한 실행자가 지금 실행 중인 함수 블록(func_<id>)에서 만들어진다
+    function functionIdOf(executor) {
+        if (!functionProfile.ids.has(executor)) {
+            const caller = functionProfile.executing[functionProfile.executing.length - 1];
+            const block = caller && caller.scope ? caller.scope.block : null;
+            const type = block && typeof block.type === 'string' ? block.type : '';
+            functionProfile.ids.set(executor, type.indexOf('func_') === 0 ? type.substr(5) : '알 수 없는 함수');
+        }
+        return functionProfile.ids.get(executor);
+    }
+    
+    // 새 호출이 전체 깊이 제한이나 함수별 재귀 깊이 제한을 넘으면 호출 사슬을 담아 던진다
+    // 무제한 모드는 전체 깊이 제한만 풀고, setFunctionDepthLimitFor로 정한 함수별 제한은 그대로 지킨다
+    function checkFunctionDepth(stats, depth, recursion) {
+        const config = window.EntryExecutionConfig;
+        const settings = config.functionSettings;
+        const functionLimit = settings.functionDepthLimits[stats.functionId];
+        let error = null;
+        const chain = functionProfile.chain.map(frame => frame.stats.name).concat(stats.name);
+        if (functionLimit !== undefined && recursion > functionLimit) {
+            error = new FunctionDepthError(chain, recursion, functionLimit, true);
+        } else if (!config.globalSettings.unlimitedExecution && settings.enableRecursionCheck &&
+                   depth > settings.maxCallStackDepth) {
+            error = new FunctionDepthError(chain, depth, settings.maxCallStackDepth, false);
+        }
+        if (error) {
+            functionProfile.lastError = error;
+            console.error('❌', error.message);
+            throw error;
+        }
+    }
+    
+    function enterFunction(executor) {
+        const isNewCall = !functionProfile.ids.has(executor);
+        const stats = functionStats(functionIdOf(executor));
+        const chain = functionProfile.chain;
+        const depth = chain.length + 1;
+        const recursion = chain.filter(frame => frame.stats === stats).length + 1;
+        if (isNewCall) {
+            stats.calls++;
+            checkFunctionDepth(stats, depth, recursion);
+        }
+        stats.maxDepth = Math.max(stats.maxDepth, recursion);
+        functionProfile.maxDepth = Math.max(functionProfile.maxDepth, depth);
+        const frame = { stats: stats, start: performance.now(), childTime: 0 };
+        chain.push(frame);
+        return frame;
+    }
+    
+    // 시간은 안쪽 함수 호출을 뺀 자체 실행 시간으로 센다
+    function leaveFunction(frame) {
+        const chain = functionProfile.chain;
+        chain.pop();
+        const elapsed = performance.now() - frame.start;
+        frame.stats.time += elapsed - frame.childTime;
+        if (chain.length > 0) {
+            chain[chain.length - 1].childTime += elapsed;
+        }
+    }
+    
+    if (Entry.Executor && Entry.Executor.prototype && Entry.Executor.prototype.execute) {
+        originalMethods.executorExecute = Entry.Executor.prototype.execute;
+        const originalExecute = Entry.Executor.prototype.execute;
+        const executeTracked = function(executor, isFromOrigin) {
+            const frame = executor.isFuncExecutor ? enterFunction(executor) : null;
+            functionProfile.executing.push(executor);
             try {
-                return originalExecute.call(this, isFromOrigin);
-            } catch (e) {
-                // RangeError (재귀 호출 제한) 무시
-                if (e.name === 'RangeError' && !window.EntryExecutionConfig.functionSettings.enableRecursionCheck) {
-                    console.log('⚠️ RangeError 무시됨 (재귀 호출 제한 비활성화)');
-                    return { promises: [], blocks: [] };
+                return originalExecute.call(executor, isFromOrigin);
+            } finally {
+                functionProfile.executing.pop();
+                if (frame) {
+                    leaveFunction(frame);
                 }
-                throw e;
             }
         };
+        Entry.Executor.prototype.execute = function(isFromOrigin) {
+            if (isFromOrigin && this.isLooped) {
+                wrapState.loopExecutions++;
+                if (wrapState.calling && wrapState.loopExecutions >= wrapState.stopAt) {
+                    Entry.tickTime = 0;
+                }
+            }
+            // tick이 부른 실행(execute(true))은 5의 오류 격리를 거친다
+            if (isFromOrigin && window.EntryExecutionConfig.globalSettings.isolateErrors) {
+                return executeIsolated(this, () => executeTracked(this, isFromOrigin));
+            }
+            return executeTracked(this, isFromOrigin);
+        };
+    }
+    console.log('✓ 함수 호출 스택 제한 오버라이드 완료');
+    
+    // 5. 실행 오류 격리
+    // tick이 부른 실행 하나에서 오류가 나면 오류, 스택, 오브젝트, 실행자, 블록을 기록하고 그 실행자만 끝낸다.
+    // 복사본 tick과 원본 tick 모두 execute(true)로 실행자를 부르므로 위의 execute 래퍼에서 감싼다.
+    // Entry는 블록 오류를 Entry.Utils.stopProjectWithToast로 넘겨 프로젝트 전체를 멈추므로,
+    // 격리하는 동안에는 이를 가로채 오류 블록만 기억하고 오류를 다시 던지게 한다.
+    const errorLog = {
+        entries: [],
+        limit: 100,          // 최근 오류만 보관
+        seq: 0,
+        depth: 0,            // 격리 중인 execute(true) 호출 수
+        failedBlock: null,   // stopProjectWithToast가 알려 준 오류 블록
+        handler: null        // onError 콜백
+    };
+    
+    function recordExecutorError(executor, block, error) {
+        const object = executor.entity && executor.entity.parent;
+        const entry = {
+            id: ++errorLog.seq,
+            name: (error && error.name) || 'Error',
+            message: error && error.message !== undefined ? String(error.message) : String(error),
+            stack: (error && error.stack) || null,
+            error: error,
+            objectId: object ? object.id : null,
+            objectName: object ? object.name : null,
+            blockId: block ? block.id : null,
+            blockType: block ? block.type : null,
+            executor: executor
+        };
+        errorLog.entries.push(entry);
+        if (errorLog.entries.length > errorLog.limit) {
+            errorLog.entries.shift();
+        }
+        console.warn('⚠️ 실행 오류로 실행자를 멈췄습니다:', (entry.objectName || '알 수 없는 오브젝트') + ',',
+            (entry.blockType || '알 수 없는 블록') + ' -', entry.message);
+        if (errorLog.handler) {
+            try {
+                errorLog.handler(entry);
+            } catch (e) {
+                console.error('❌ onError 콜백 오류:', e);
+            }
+        }
+        return entry;
     }
     
-    // Executor 클래스들에 적용
-    if (typeof Executor !== 'undefined') {
-        overrideExecutorErrorHandling(Executor);
+    // 오류 블록: Entry가 알려 준 블록, 실행자가 멈춘 블록, 실행 전 블록 순서로 찾는다
+    function executeIsolated(executor, run) {
+        const startBlock = executor.scope ? executor.scope.block : null;
+        errorLog.depth++;
+        errorLog.failedBlock = null;
+        try {
+            return run();
+        } catch (e) {
+            const block = errorLog.failedBlock || (executor.scope && executor.scope.block) || startBlock;
+            errorLog.failedBlock = null;
+            recordExecutorError(executor, block, e);
+            if (typeof executor.end === 'function') {
+                executor.end();
+            }
+            return { promises: [], blocks: [] };
+        } finally {
+            errorLog.depth--;
+        }
     }
-    console.log('✓ Executor 오류 처리 오버라이드 완료');
+    
+    if (Entry.Utils && typeof Entry.Utils.stopProjectWithToast === 'function') {
+        originalMethods.stopProjectWithToast = Entry.Utils.stopProjectWithToast;
+        const originalStop = Entry.Utils.stopProjectWithToast;
+        Entry.Utils.stopProjectWithToast = function(scope, message, error) {
+            if (errorLog.depth > 0) {
+                errorLog.failedBlock = (scope && scope.block) || null;
+                throw error || new Error(message || '실행 오류');
+            }
+            return originalStop.apply(this, arguments);
+        };
+    }
+    console.log('✓ 실행 오류 격리 설정 완료');
     
     // 6. 설정 변경 함수들 제공
     window.EntryExecutionConfig.setLoopLimit = function(maxExecutions) {
@@ -215,31 +604,403 @@
         console.log('✓ 무제한 실행 모드:', enabled ? '활성화' : '비활성화');
     };
     
+    // 'copy': 복사한 tick 본문, 'wrap': EntryJS 원본 tick을 시간 창을 주며 반복 호출
+    window.EntryExecutionConfig.setTickStrategy = function(strategy) {
+        this.globalSettings.tickStrategy = strategy;
+        console.log('✓ tick 전략 변경:', strategy);
+    };
+    
+    // 끄면 Entry 기본 동작대로 오류가 난 블록에서 프로젝트 전체가 멈춘다
+    window.EntryExecutionConfig.setErrorIsolation = function(enabled) {
+        this.globalSettings.isolateErrors = enabled;
+        console.log('✓ 실행 오류 격리:', enabled ? '켜짐' : '꺼짐');
+    };
+    
+    // 격리한 실행 오류 (오래된 것부터, 최근 100개)
+    window.EntryExecutionConfig.getErrors = function() {
+        return errorLog.entries.slice();
+    };
+    
+    window.EntryExecutionConfig.clearErrors = function() {
+        errorLog.entries = [];
+        console.log('✓ 실행 오류 기록 삭제');
+    };
+    
+    // callback(entry): 오류를 격리할 때마다 호출 (null이면 해제)
+    window.EntryExecutionConfig.onError = function(callback) {
+        errorLog.handler = typeof callback === 'function' ? callback : null;
+    };
+    
     window.EntryExecutionConfig.setFunctionDepthLimit = function(maxDepth) {
         this.functionSettings.maxCallStackDepth = maxDepth;
         this.functionSettings.enableRecursionCheck = maxDepth !== Infinity;
         console.log('✓ 함수 호출 깊이 제한 설정:', maxDepth);
     };
     
+    // target: 함수 id 또는 함수 이름, maxDepth: 그 함수가 스스로를 (간접적으로라도) 다시 부를 수 있는 깊이
+    window.EntryExecutionConfig.setFunctionDepthLimitFor = function(target, maxDepth) {
+        const functionId = resolveFunctionId(target);
+        if (maxDepth === Infinity || maxDepth === null || maxDepth === undefined) {
+            delete this.functionSettings.functionDepthLimits[functionId];
+            console.log('✓ 함수별 깊이 제한 해제:', functionName(functionId));
+            return;
+        }
+        this.functionSettings.functionDepthLimits[functionId] = maxDepth;
+        console.log('✓ 함수별 깊이 제한 설정:', functionName(functionId), '→', maxDepth);
+    };
+    
+    // target을 생략하면 모든 함수별 제한을 지운다
+    window.EntryExecutionConfig.clearFunctionDepthLimitFor = function(target) {
+        if (target === undefined) {
+            this.functionSettings.functionDepthLimits = {};
+            console.log('✓ 모든 함수별 깊이 제한 해제');
+            return;
+        }
+        this.setFunctionDepthLimitFor(target, Infinity);
+    };
+    
+    // 함수별 호출 수, 최대 재귀 깊이, 자체 실행 시간 (시간이 많이 든 순서)
+    window.EntryExecutionConfig.getFunctionStats = function() {
+        const limits = this.functionSettings.functionDepthLimits;
+        const stats = Array.from(functionProfile.stats.values())
+            .map(item => Object.assign({ limit: limits[item.functionId] === undefined ? null : limits[item.functionId] }, item))
+            .sort((a, b) => b.time - a.time);
+        console.table(stats.map(item => ({
+            함수: item.name,
+            호출: item.calls,
+            '최대 재귀 깊이': item.maxDepth,
+            '자체 시간(ms)': Math.round(item.time * 100) / 100,
+            '깊이 제한': item.limit === null ? '-' : item.limit
+        })));
+        return stats;
+    };
+    
+    window.EntryExecutionConfig.resetFunctionStats = function() {
+        functionProfile.stats.clear();
+        functionProfile.maxDepth = 0;
+        functionProfile.lastError = null;
+        console.log('✓ 함수 실행 통계 초기화');
+    };
+    
     window.EntryExecutionConfig.reset = function() {
         // 원본 메서드들 복원
-        if (originalMethods.codeTick && Entry.engine && Entry.engine.code) {
-            Entry.engine.code.tick = originalMethods.codeTick;
+        hookedMethods.forEach(hook => {
+            hook.owner[hook.name] = hook.original;
+        });
+        hookedMethods.length = 0;
+        if (originalMethods.executorExecute) {
+            Entry.Executor.prototype.execute = originalMethods.executorExecute;
+        }
+        if (originalMethods.maximumCallStack !== undefined) {
+            Entry.Executor.MAXIMUM_CALLSTACK = originalMethods.maximumCallStack;
+        }
+        if (originalMethods.stopProjectWithToast) {
+            Entry.Utils.stopProjectWithToast = originalMethods.stopProjectWithToast;
+        }
+        if (originalMethods.codeTick) {
+            findCodeInstances().forEach(code => {
+                if (code.tick === patchedTick) {
+                    code.tick = originalMethods.codeTick;
+                }
+            });
         }
         Entry.isTurbo = false;
         Entry.tickTime = Math.floor(1000 / (Entry.FPS || 60));
         console.log('✓ 모든 설정이 원래대로 복원되었습니다.');
     };
     
-    // 7. 사용법 안내
+    window.EntryExecutionConfig.status = function() {
+        const codes = findCodeInstances();
+        console.log('📊 현재 설정 상태:');
+        console.log('- 패치된 Code 인스턴스:', countPatchedCodes() + ' / ' + codes.length);
+        console.log('- 자동 재적용 훅:', hookedMethods.map(hook => hook.name).join(', ') || '없음');
+        console.log('- 터보 모드:', Entry.isTurbo);
+        console.log('- 프레임당 반복 횟수:', this.loopSettings.maxExecutionsPerFrame);
+        console.log('- 무제한 실행 모드:', this.globalSettings.unlimitedExecution);
+        console.log('- tick 전략:', this.globalSettings.tickStrategy);
+        console.log('- 실행 오류 격리:', this.globalSettings.isolateErrors ? '켜짐' : '꺼짐', '(기록 ' + errorLog.entries.length + '개)');
+        console.log('- 함수 호출 깊이 제한:', this.functionSettings.maxCallStackDepth);
+        console.log('- 함수별 깊이 제한:', Object.keys(this.functionSettings.functionDepthLimits).length + '개');
+        console.log('- 가장 깊었던 함수 호출:', functionProfile.maxDepth);
+        if (functionProfile.lastError) {
+            console.log('- 마지막 깊이 초과:', functionProfile.lastError.message);
+        }
+        return countPatchedCodes();
+    };
+    
+    // 7. 통합 설정 (EntryConfig)
+    // best.js / great.js와 같은 이름과 규칙으로 설정을 읽고 바꾼다. 설정 함수를 감싸 인자를 검사하고
+    // 바뀐 설정을 알리므로, 예전처럼 EntryExecutionConfig의 함수를 불러도 같은 검사와 알림을 거친다.
+    //   count: min 이상의 정수 (infinity면 Infinity도), enum: values 중 하나, nullable: null과 생략도 허용
+    //   read가 없는 항목은 method의 argument번째 인자 검사에만 쓴다
+    const CONFIG_SCHEMA = {
+        loopLimit: {
+            type: 'count', min: 0, infinity: true, method: 'setLoopLimit',
+            read: config => config.loopSettings.maxExecutionsPerFrame, description: '프레임당 반복 실행 횟수'
+        },
+        unlimited: {
+            type: 'boolean', method: 'setUnlimitedMode',
+            read: config => config.globalSettings.unlimitedExecution, description: '완전 무제한 실행 모드'
+        },
+        tickStrategy: {
+            type: 'enum', values: ['copy', 'wrap'], method: 'setTickStrategy',
+            read: config => config.globalSettings.tickStrategy, description: 'tick 전략'
+        },
+        isolateErrors: {
+            type: 'boolean', method: 'setErrorIsolation',
+            read: config => config.globalSettings.isolateErrors, description: '실행 오류가 난 실행자만 멈추고 기록'
+        },
+        maxCallDepth: {
+            type: 'count', min: 1, infinity: true, method: 'setFunctionDepthLimit',
+            read: config => config.functionSettings.maxCallStackDepth, description: '함수 호출 최대 깊이'
+        },
+        functionDepthLimit: {
+            type: 'count', min: 1, infinity: true, nullable: true, method: 'setFunctionDepthLimitFor', argument: 1,
+            description: '함수별 재귀 깊이 제한'
+        }
+    };
+    
+    class ConfigError extends TypeError {
+        constructor(key, value, message) {
+            super(message);
+            this.name = 'ConfigError';
+            this.key = key;
+            this.value = value;
+        }
+    }
+    window.EntryExecutionConfig.ConfigError = ConfigError;
+    
+    const configChanges = {
+        listeners: [],   // onChange 콜백
+        depth: 0         // 설정 함수가 다른 설정 함수를 부르면 가장 바깥 호출이 끝날 때 한 번만 알린다
+    };
+    
+    function settingKeys() {
+        return Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].read);
+    }
+    
+    function formatSettingValue(value) {
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+    
+    function describeRule(rule) {
+        let text = 'true 또는 false';
+        if (rule.type === 'count') {
+            text = rule.min + ' 이상의 정수' + (rule.infinity ? ' 또는 Infinity' : '');
+        } else if (rule.type === 'enum') {
+            text = rule.values.map(formatSettingValue).join(', ') + ' 중 하나';
+        }
+        if (rule.nullable) {
+            text += ' 또는 null';
+        }
+        return text;
+    }
+    
+    function matchesRule(rule, value) {
+        if ((value === undefined || value === null) && rule.nullable) {
+            return true;
+        }
+        if (rule.type === 'count') {
+            return typeof value === 'number' &&
+                (value === Infinity ? !!rule.infinity : Number.isInteger(value) && value >= rule.min);
+        }
+        if (rule.type === 'enum') {
+            return rule.values.indexOf(value) !== -1;
+        }
+        return typeof value === 'boolean';
+    }
+    
+    // 잘못된 값이면 무엇을 받을 수 있는지 담아 ConfigError를 던진다
+    function checkSetting(key, value) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!matchesRule(rule, value)) {
+            throw new ConfigError(key, value,
+                key + ' 값이 잘못되었습니다: ' + formatSettingValue(value) + ' (' + describeRule(rule) + '만 가능)');
+        }
+    }
+    
+    function settingRule(key) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule || !rule.read) {
+            throw new ConfigError(key, undefined, '알 수 없는 설정입니다: ' + formatSettingValue(key) +
+                ' (' + settingKeys().join(', ') + ')');
+        }
+        return rule;
+    }
+    
+    function readSettings() {
+        const values = {};
+        settingKeys().forEach(key => {
+            values[key] = CONFIG_SCHEMA[key].read(window.EntryExecutionConfig);
+        });
+        return values;
+    }
+    
+    // run 전후의 설정을 비교해 바뀐 항목마다 onChange 콜백을 부른다 (콜백 오류는 경고만)
+    function trackSettingChanges(run) {
+        const before = configChanges.depth === 0 ? readSettings() : null;
+        configChanges.depth++;
+        try {
+            return run();
+        } finally {
+            configChanges.depth--;
+            if (before) {
+                const after = readSettings();
+                Object.keys(after).filter(key => after[key] !== before[key]).forEach(key => {
+                    const change = { key: key, value: after[key], previous: before[key] };
+                    configChanges.listeners.slice().forEach(listener => {
+                        try {
+                            listener(change);
+                        } catch (e) {
+                            console.warn('⚠️ 설정 변경 알림 처리 중 오류:', e);
+                        }
+                    });
+                });
+            }
+        }
+    }
+    
+    const checkedArguments = {};
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+        const rule = CONFIG_SCHEMA[key];
+        checkedArguments[rule.method] = (checkedArguments[rule.method] || []).concat({ key: key, index: rule.argument || 0 });
+    });
+    // reset은 인자 검사 없이 변경만 알린다
+    Object.keys(checkedArguments).concat('reset').forEach(name => {
+        const original = window.EntryExecutionConfig[name];
+        const checks = checkedArguments[name] || [];
+        window.EntryExecutionConfig[name] = function() {
+            checks.forEach(check => checkSetting(check.key, arguments[check.index]));
+            return trackSettingChanges(() => original.apply(this, arguments));
+        };
+    });
+    
+    window.EntryConfig = {
+        tool: 'EntryExecutionConfig',   // 설정을 실제로 적용하는 도구
+        schema: CONFIG_SCHEMA,
+        ConfigError: ConfigError,
+        
+        // key를 생략하면 모든 설정을 객체로
+        get: function(key) {
+            if (key === undefined) {
+                return readSettings();
+            }
+            return settingRule(key).read(window.EntryExecutionConfig);
+        },
+        
+        // set('loopLimit', 5000) 또는 set({ loopLimit: 5000, maxCallDepth: 100 })
+        // 하나라도 잘못되면 아무것도 바꾸지 않고 ConfigError를 던진다
+        set: function(key, value) {
+            const changes = typeof key === 'object' && key !== null ? key : { [key]: value };
+            Object.keys(changes).forEach(name => {
+                settingRule(name);
+                checkSetting(name, changes[name]);
+            });
+            const config = window.EntryExecutionConfig;
+            trackSettingChanges(() => {
+                Object.keys(changes).forEach(name => config[CONFIG_SCHEMA[name].method](changes[name]));
+            });
+            return this;
+        },
+        
+        // 설정마다 설명, 받을 수 있는 값, 지금 값을 표로 보여 준다
+        describe: function() {
+            const rows = {};
+            settingKeys().forEach(key => {
+                const rule = CONFIG_SCHEMA[key];
+                rows[key] = {
+                    설명: rule.description,
+                    '허용 값': describeRule(rule),
+                    '현재 값': formatSettingValue(rule.read(window.EntryExecutionConfig)),
+                    '설정 함수': 'EntryExecutionConfig.' + rule.method
+                };
+            });
+            console.table(rows);
+            return this;
+        },
+        
+        // callback({ key, value, previous }): 설정이 바뀔 때마다
+        onChange: function(callback) {
+            if (typeof callback === 'function' && configChanges.listeners.indexOf(callback) === -1) {
+                configChanges.listeners.push(callback);
+            }
+            return this;
+        },
+        
+        offChange: function(callback) {
+            configChanges.listeners = configChanges.listeners.filter(listener => listener !== callback);
+            return this;
+        }
+    };
+    console.log('✓ 통합 설정 EntryConfig 준비 완료:', settingKeys().length + '개 항목');
+    
+    // best.js / great.js의 전역 이름(EntryLimitConfig)으로 부르던 코드도 이 도구의 설정으로 잇는다.
+    // 그 도구를 직접 설치하면 그쪽 객체가 이 연결을 덮어쓴다.
+    if (!window.EntryLimitConfig || window.EntryLimitConfig.isShim) {
+        const fields = { loopExecutionsPerFrame: 'loopLimit', unlimitedMode: 'unlimited', maxCallDepth: 'maxCallDepth', tickStrategy: 'tickStrategy' };
+        window.EntryLimitConfig = {
+            isShim: true,
+            setLoopLimit: function(count) {
+                window.EntryConfig.set('loopLimit', count);
+                return this;
+            },
+            setUnlimitedMode: function(enabled) {
+                window.EntryConfig.set('unlimited', enabled);
+                return this;
+            },
+            setMaxCallDepth: function(depth) {
+                window.EntryConfig.set('maxCallDepth', depth);
+                return this;
+            },
+            setTickStrategy: function(strategy) {
+                window.EntryConfig.set('tickStrategy', strategy);
+                return this;
+            },
+            getErrors: function() {
+                return window.EntryExecutionConfig.getErrors();
+            },
+            onError: function(callback) {
+                window.EntryExecutionConfig.onError(callback);
+                return this;
+            },
+            reset: function() {
+                window.EntryExecutionConfig.reset();
+                return this;
+            },
+            status: function() {
+                window.EntryExecutionConfig.status();
+                return this;
+            }
+        };
+        Object.keys(fields).forEach(name => {
+            Object.defineProperty(window.EntryLimitConfig, name, {
+                enumerable: true,
+                get: () => window.EntryConfig.get(fields[name]),
+                set: value => {
+                    window.EntryConfig.set(fields[name], value);
+                }
+            });
+        });
+        console.log('✓ EntryLimitConfig 호환 연결 완료 (best.js / great.js 호출 → EntryConfig)');
+    }
+    
+    // 8. 사용법 안내
     console.log('🎉 Entry.js 고급 실행 제한 조정 도구 설치 완료!');
     console.log('');
     console.log('📖 사용법:');
     console.log('EntryExecutionConfig.setLoopLimit(1000)        // 프레임당 반복 1000회');
     console.log('EntryExecutionConfig.setLoopLimit(Infinity)    // 반복문 무제한');
-    console.log('EntryExecutionConfig.setUnlimitedMode(true)    // 모든 제한 해제');
+    console.log('EntryExecutionConfig.setUnlimitedMode(true)    // 모든 제한 해제 (함수별 깊이 제한은 유지)');
+    console.log('EntryExecutionConfig.setTickStrategy("wrap")  // 원본 tick을 감싸서 실행');
     console.log('EntryExecutionConfig.setFunctionDepthLimit(100) // 함수 깊이 100으로 제한');
     console.log('EntryExecutionConfig.setFunctionDepthLimit(Infinity) // 함수 깊이 무제한');
+    console.log('EntryExecutionConfig.setFunctionDepthLimitFor("피보나치", 50) // 함수별 재귀 깊이 제한');
+    console.log('EntryExecutionConfig.getFunctionStats()       // 함수별 호출 수 / 깊이 / 시간');
+    console.log('EntryExecutionConfig.getErrors()              // 격리한 실행 오류 (onError(callback)로 알림)');
+    console.log('EntryConfig.set("loopLimit", 5000)           // 통합 설정 (잘못된 값은 ConfigError)');
+    console.log('EntryConfig.describe()                       // 설정 이름, 허용 값, 현재 값');
+    console.log('EntryConfig.onChange(change => ...)          // 설정이 바뀔 때 알림');
+    console.log('EntryExecutionConfig.status()                 // 패치 상태 확인');
     console.log('EntryExecutionConfig.reset()                  // 모든 설정 초기화');
     console.log('');
     console.log('🔧 현재 설정:', window.EntryExecutionConfig);
@@ -7,159 +7,3383 @@
         return;
     }
     
+    // 이미 설치되어 있으면 먼저 원래대로 되돌린다. 그러지 않으면 아래에서 백업하는 원본 메서드가
+    // 지난 설치의 패치라서 tick, execute, 속도 조절이 두 겹으로 감싸이고 제어 패널도 하나 더 생긴다.
+    const previous = window.EntryLimitConfig;
+    if (previous && !previous.isShim && typeof previous.reset === 'function') {
+        console.log('♻️ 이미 설치된 도구를 초기화하고 다시 설치합니다.');
+        if (previous.panel && typeof previous.panel.remove === 'function') {
+            previous.panel.remove();
+        }
+        previous.reset();
+    }
+    
+    // 도구를 다시 설치해도 등록해 둔 수명 주기 훅은 이어받는다
+    const previousHooks = previous && previous.hooks;
+    
     // 전역 설정 객체
     window.EntryLimitConfig = {
         loopExecutionsPerFrame: 1000,  // 프레임당 반복 실행 횟수
         unlimitedMode: false,          // 완전 무제한 모드
+        timeBudget: null,              // 프레임당 반복 시간 예산 (ms, null이면 횟수 기준)
+        timeBudgetMaxIterations: Infinity, // 시간 예산 모드의 보조 횟수 제한
+        watchdogMs: 2000,              // 한 tick이 이 시간(ms)을 넘기면 반복 실행자를 멈춤 (null이면 사용 안 함)
+        loopRules: {},                 // 오브젝트 id / 오브젝트 이름 / 시작 블록 id → 프레임당 반복 횟수
+        loopWeights: {},               // 같은 키 → 스케줄링 가중치 (기본 1)
+        minTurnsPerFrame: 1,           // 실행자마다 프레임당 보장하는 최소 반복 횟수
+        maxCallDepth: 1000,            // 함수 호출 최대 깊이 (Entry 기본값보다 훨씬 크게)
+        isolateErrors: true,           // 실행 오류가 난 실행자만 멈추고 기록 (false면 Entry처럼 프로젝트 전체 정지)
+        watchBlockLimit: 1000,         // 프레임당 감시 알림에 담을 최대 블록 수
+        muteWatchInTurbo: false,       // 터보 모드 동안 감시 알림을 아예 보내지 않음
+        executeEventPolicy: 'every',   // blockExecute 알림: 'every' / 'first-per-frame' / 'sampled(n)' / 'off'
+        tickStrategy: 'copy',          // 'copy': 복사한 tick 본문 사용, 'wrap': 원본 tick을 반복 호출
+        hooks: previousHooks || {      // 수명 주기 훅 (onTickStart 등으로 등록)
+            tickStart: [],
+            tickEnd: [],
+            limitReached: [],
+            executorEnd: [],
+            install: [],
+            reset: []
+        },
         originalMethods: {},           // 원본 메서드 백업
-        isActive: false               // 활성화 상태
+        isActive: false,              // 활성화 상태
+        stats: {                       // 프레임 통계
+            frames: 0,
+            lastFrameIterations: 0,
+            averageIterations: 0,
+            idleSweepExits: 0,         // 모든 실행자가 대기 중이라 반복 패스를 일찍 끝낸 횟수
+            lastCallDepthError: null   // 마지막으로 발생한 함수 호출 깊이 초과 오류
+        }
+    };
+    
+    // 도구 자신의 시간 측정은 항상 실제 시계로 한다 (빨리 감기의 가상 시계와 무관)
+    const realNow = performance.now.bind(performance);
+    
+    // 프레임 추적: 같은 Code 인스턴스가 다시 tick 되면 새 프레임으로 본다.
+    // 오브젝트마다 Code가 따로 있으므로 시간 예산은 프레임 전체에서 공유된다.
+    const frameState = {
+        start: 0,
+        iterations: 0,
+        codes: new Set()
+    };
+    
+    function beginFrame(code) {
+        if (frameState.start && !frameState.codes.has(code)) {
+            frameState.codes.add(code);
+            return;
+        }
+        
+        const stats = window.EntryLimitConfig.stats;
+        if (frameState.start) {
+            stats.frames++;
+            stats.lastFrameIterations = frameState.iterations;
+            // 최근 프레임에 가중치를 둔 이동 평균
+            stats.averageIterations = stats.frames === 1
+                ? frameState.iterations
+                : stats.averageIterations * 0.9 + frameState.iterations * 0.1;
+        }
+        
+        // 끝난 실행자의 사용량 기록은 프레임마다 정리
+        executorStats.forEach((entry, executor) => {
+            if (executor.isEnd()) {
+                executorStats.delete(executor);
+            }
+        });
+        
+        if (profiler.running) {
+            profiler.frames++;
+        }
+        
+        frameState.start = realNow();
+        frameState.iterations = 0;
+        frameState.codes.clear();
+        frameState.codes.add(code);
+    }
+    
+    // 수명 주기 훅: 패치한 tick과 설치/초기화 시점에 등록한 콜백을 부른다.
+    // 콜백이 던진 오류는 기록만 하고 삼켜 프레임을 깨뜨리지 않는다 (콜백마다 첫 오류만 경고).
+    const hookState = {
+        errors: 0,
+        lastError: null,
+        warned: new WeakSet()
+    };
+    
+    function callHook(name, callback, value) {
+        try {
+            callback(value);
+        } catch (e) {
+            hookState.errors++;
+            hookState.lastError = e;
+            if (!hookState.warned.has(callback)) {
+                hookState.warned.add(callback);
+                console.warn('⚠️ 수명 주기 훅 오류 (' + name + '), 이 콜백의 다음 오류는 알리지 않습니다:', e);
+            }
+        }
+    }
+    
+    function runHooks(name, value) {
+        const callbacks = window.EntryLimitConfig.hooks[name];
+        if (callbacks.length === 0) {
+            return;
+        }
+        callbacks.slice().forEach(callback => callHook(name, callback, value));
+    }
+    
+    // tick을 시작하며 훅을 부르고, 끝날 때 finishTickHooks에 넘길 기록을 돌려준다
+    function startTickHooks(code, tickStart) {
+        runHooks('tickStart');
+        return {
+            start: tickStart,
+            frameIterations: frameState.iterations,
+            // 끝난 실행자 알림이 필요할 때만 tick 전 목록을 복사해 둔다
+            executors: window.EntryLimitConfig.hooks.executorEnd.length > 0 ? code.executors.slice() : null
+        };
+    }
+    
+    // limitReached: 반복 한도(횟수 또는 시간 예산)에 걸려 할 일이 남은 채로 반복 패스를 끝냈는지
+    function finishTickHooks(code, tick, limitReached) {
+        const config = window.EntryLimitConfig;
+        if (tick.executors) {
+            const remaining = new Set(code.executors);
+            tick.executors.forEach(executor => {
+                if (!remaining.has(executor) && executor.isEnd()) {
+                    runHooks('executorEnd', executor);
+                }
+            });
+        }
+        if (config.hooks.tickEnd.length === 0 && (!limitReached || config.hooks.limitReached.length === 0)) {
+            return;
+        }
+        const stats = {
+            strategy: config.tickStrategy,
+            iterations: frameState.iterations - tick.frameIterations, // 이 tick의 반복 실행 횟수
+            frameIterations: frameState.iterations,                   // 이번 프레임 전체
+            elapsed: realNow() - tick.start,
+            limit: sharedLoopLimit(config),
+            limitReached: limitReached,
+            executors: code.executors.length
+        };
+        if (limitReached) {
+            runHooks('limitReached', stats);
+        }
+        runHooks('tickEnd', stats);
+    }
+    
+    // 실행자가 처음 보였을 때의 블록 (스크립트 시작 블록)
+    const executorStartBlocks = new WeakMap();
+    
+    function rememberStartBlock(executor) {
+        if (!executorStartBlocks.has(executor) && executor.scope && executor.scope.block) {
+            executorStartBlocks.set(executor, executor.scope.block.id);
+        }
+    }
+    
+    // 규칙은 시작 블록 id → 오브젝트 id → 오브젝트 이름 순으로 찾는다
+    function findExecutorRule(rules, executor) {
+        const object = executor.entity && executor.entity.parent;
+        const keys = [
+            executorStartBlocks.get(executor),
+            object && object.id,
+            object && object.name
+        ];
+        for (const key of keys) {
+            if (key !== undefined && key !== null && Object.prototype.hasOwnProperty.call(rules, key)) {
+                return rules[key];
+            }
+        }
+        return null;
+    }
+    
+    // 규칙이 없는 실행자들이 가중치대로 나눠 쓰는 공용 한도
+    function sharedLoopLimit(config) {
+        if (config.timeBudget !== null) {
+            return config.timeBudgetMaxIterations;
+        }
+        if (config.unlimitedMode) {
+            return Infinity;
+        }
+        return config.loopExecutionsPerFrame;
+    }
+    
+    // tick 하나 동안의 스케줄: 실행자마다 가중치와 자기 몫(한도)을 정한다.
+    // 규칙이 있으면 규칙 횟수가 몫이 되고, 없으면 공용 한도를 가중치 비율로 나누되
+    // 최소 보장 횟수(minTurnsPerFrame) 아래로는 내려가지 않는다.
+    function createLoopQuota(config, loopExecutor) {
+        const entries = new Map();
+        const sharedLimit = sharedLoopLimit(config);
+        let sharedWeight = 0;
+        let minWeight = Infinity;
+        
+        for (const executor of loopExecutor) {
+            const rule = findExecutorRule(config.loopRules, executor);
+            const weight = findExecutorRule(config.loopWeights, executor);
+            const entry = {
+                rule: rule,
+                weight: weight === null ? 1 : weight,
+                limit: rule === null ? 0 : rule,
+                turns: 0,
+                credit: 0
+            };
+            if (rule === null) {
+                sharedWeight += entry.weight;
+            }
+            if (entry.weight > 0) {
+                minWeight = Math.min(minWeight, entry.weight);
+            }
+            entries.set(executor, entry);
+        }
+        
+        entries.forEach(entry => {
+            if (entry.rule !== null) {
+                return;
+            }
+            let share = 0;
+            if (sharedLimit === Infinity) {
+                share = Infinity;
+            } else if (sharedWeight > 0) {
+                share = Math.floor(sharedLimit * entry.weight / sharedWeight);
+            }
+            entry.limit = Math.max(share, config.minTurnsPerFrame);
+        });
+        
+        return {
+            entries: entries,
+            minTurns: config.minTurnsPerFrame,
+            // 가장 가벼운 실행자가 한 바퀴에 한 번 돌도록 가중치를 맞춘다
+            weightScale: minWeight === Infinity ? 1 : 1 / minWeight,
+            overtime: false
+        };
+    }
+    
+    function hasLoopQuota(quota, executor) {
+        const entry = quota.entries.get(executor);
+        return entry.turns < entry.limit;
+    }
+    
+    // 시간 예산을 넘긴 뒤에도 최소 보장 횟수를 못 채운 실행자
+    function isStarved(quota, executor) {
+        const entry = quota.entries.get(executor);
+        return entry.turns < Math.min(quota.minTurns, entry.limit);
+    }
+    
+    function canRunLoopTurn(quota, executor) {
+        return quota.overtime ? isStarved(quota, executor) : hasLoopQuota(quota, executor);
+    }
+    
+    // 이번 바퀴에 이 실행자가 연달아 돌 횟수 (가중치 누적분의 정수 부분)
+    function takeSweepTurns(quota, executor) {
+        if (quota.overtime) {
+            return 1;
+        }
+        const entry = quota.entries.get(executor);
+        entry.credit += entry.weight * quota.weightScale;
+        const turns = Math.floor(entry.credit);
+        entry.credit -= turns;
+        // 가중치가 0이어도 최소 보장 횟수까지는 돈다
+        return isStarved(quota, executor) ? Math.max(turns, 1) : turns;
+    }
+    
+    function useLoopQuota(quota, executor) {
+        quota.entries.get(executor).turns++;
+    }
+    
+    // 반복문 패스를 한 바퀴 더 돌지 결정
+    function shouldContinueLoop(config, quota, loopExecutor) {
+        quota.overtime = config.timeBudget !== null && realNow() - frameState.start >= config.timeBudget;
+        return loopExecutor.some(executor => !executor.isEnd() && canRunLoopTurn(quota, executor));
+    }
+    
+    // 비동기 블록(소리 재생, 확장 블록, AI 블록 등)이 돌려준 Promise 추적.
+    // 한 tick의 모든 실행 결과에서 Promise를 모아 엔진에 한 번씩만 등록하고,
+    // 아직 끝나지 않은 Promise가 있는 실행자는 반복 패스에서 대기 중으로 본다.
+    const pendingPromises = new WeakMap(); // 실행자 → 끝나지 않은 Promise 목록
+    
+    function trackPendingPromise(executor, promise) {
+        if (!promise || typeof promise.then !== 'function') {
+            return;
+        }
+        let pending = pendingPromises.get(executor);
+        if (!pending) {
+            pending = new Set();
+            pendingPromises.set(executor, pending);
+        }
+        if (pending.has(promise)) {
+            return;
+        }
+        pending.add(promise);
+        const settle = () => pending.delete(promise);
+        promise.then(settle, settle);
+    }
+    
+    function collectPromises(collected, executor, result) {
+        if (!result || !result.promises) {
+            return;
+        }
+        result.promises.forEach(promise => {
+            if (!promise || collected.has(promise)) {
+                return;
+            }
+            collected.add(promise);
+            trackPendingPromise(executor, promise);
+        });
+    }
+    
+    function isWaiting(executor) {
+        if (executor.isPause()) {
+            return true;
+        }
+        const pending = pendingPromises.get(executor);
+        return !!pending && pending.size > 0;
+    }
+    
+    // 감시(watch) 알림: 실행한 블록을 중복 없이 watchBlockLimit개까지만 모으고,
+    // Code마다 프레임당 한 번만 알린다. muteWatchInTurbo면 터보 동안 알리지 않는다.
+    const watchNotifiedFrames = new WeakMap(); // Code → 마지막으로 알린 프레임
+    
+    function shouldNotifyWatchFor(config, code) {
+        if (config.muteWatchInTurbo && Entry.isTurbo) {
+            return false;
+        }
+        const watchEvent = code.watchEvent;
+        if (typeof watchEvent.hasListeners !== 'function' || !watchEvent.hasListeners()) {
+            return false;
+        }
+        return watchNotifiedFrames.get(code) !== frameState.start;
+    }
+    
+    function collectWatchBlocks(collected, blocks, limit) {
+        if (!blocks) {
+            return;
+        }
+        for (let i = 0; i < blocks.length && collected.size < limit; i++) {
+            collected.add(blocks[i]);
+        }
+    }
+    
+    // blockExecute / blockExecuteEnd 알림 정책 (블록 편집기의 실행 중 블록 표시용)
+    // every: 실행마다, first-per-frame: 실행자마다 프레임의 첫 실행만,
+    // sampled(n): 실행자마다 프레임 안에서 n번에 한 번, off: 보내지 않음.
+    // every가 아니면 실행 종료 알림도 tick마다 한 번만 보낸다.
+    function parseExecuteEventPolicy(policy) {
+        if (policy === 'every' || policy === 'first-per-frame' || policy === 'off') {
+            return { type: policy, interval: 1 };
+        }
+        const match = /^sampled\((\d+)\)$/.exec(String(policy));
+        if (match && Number(match[1]) > 0) {
+            return { type: 'sampled', interval: Number(match[1]) };
+        }
+        return null;
+    }
+    
+    const executeEventCounts = new WeakMap(); // 실행자 → 이번 프레임 실행 횟수
+    
+    function shouldDispatchExecute(policy, executor) {
+        if (policy.type === 'every') {
+            return true;
+        }
+        if (policy.type === 'off') {
+            return false;
+        }
+        let entry = executeEventCounts.get(executor);
+        if (!entry || entry.frameStart !== frameState.start) {
+            entry = { frameStart: frameState.start, count: 0 };
+            executeEventCounts.set(executor, entry);
+        }
+        const index = entry.count++;
+        return policy.type === 'first-per-frame' ? index === 0 : index % policy.interval === 0;
+    }
+    
+    // 실행자별 사용량 (누가 프레임을 썼는지)
+    const executorStats = new Map();
+    
+    function recordLoopTurns(quota) {
+        quota.entries.forEach((entry, executor) => {
+            const stats = executorStats.get(executor) || Object.assign({ totalTurns: 0, frames: 0 }, describeExecutor(executor));
+            stats.weight = entry.weight;
+            stats.limit = entry.limit;
+            stats.lastTurns = entry.turns;
+            stats.totalTurns += entry.turns;
+            stats.frames++;
+            stats.starved = !isWaiting(executor) && entry.turns < Math.min(quota.minTurns, entry.limit);
+            executorStats.set(executor, stats);
+        });
+    }
+    
+    // 블록 프로파일러 (profile.start()로 켤 때만 기록)
+    // 실행 직전의 executor.scope.block 기준으로 블록별, 실행자별 실행 횟수와 시간을 모은다.
+    const profiler = {
+        running: false,
+        frames: 0,            // 기록한 프레임 수
+        blocks: new Map(),    // 블록 id → 기록
+        executors: new Map()  // 실행자 → 기록
+    };
+    
+    function profileEntry(map, key, describe) {
+        let entry = map.get(key);
+        if (!entry) {
+            entry = Object.assign({
+                executions: 0,
+                time: 0,
+                frameStart: 0,
+                frameExecutions: 0,
+                frameTime: 0,
+                peakFrameTime: 0
+            }, describe());
+            map.set(key, entry);
+        }
+        return entry;
+    }
+    
+    function addProfileSample(entry, elapsed) {
+        // 새 프레임이면 프레임별 누적을 다시 센다
+        if (entry.frameStart !== frameState.start) {
+            entry.frameStart = frameState.start;
+            entry.frameExecutions = 0;
+            entry.frameTime = 0;
+        }
+        entry.executions++;
+        entry.time += elapsed;
+        entry.frameExecutions++;
+        entry.frameTime += elapsed;
+        entry.peakFrameTime = Math.max(entry.peakFrameTime, entry.frameTime);
+    }
+    
+    // 실행 한 번의 기록 (스텝 디버거, 프로파일러, 변수 기록기). 복사본 tick은 runExecutor에서 남기고,
+    // 래핑 전략은 원본 tick이 실행자를 직접 부르므로 Executor.execute 래퍼에서 남긴다.
+    // beginExecution이 돌려준 시작 시각을 endExecution에 넘긴다 (프로파일러가 꺼져 있으면 null).
+    function beginExecution(executor, block) {
+        debugState.lastBlock = block;
+        if (debugState.stepping) {
+            debugState.executed.push({ executor: executor, block: block });
+        }
+        return profiler.running ? realNow() : null;
+    }
+    
+    function endExecution(executor, block, start) {
+        if (start !== null && profiler.running) {
+            addExecutionProfile(executor, block, realNow() - start);
+        }
+        if (recorder.running) {
+            recordTraceChanges(executor, block);
+        }
+    }
+    
+    function addExecutionProfile(executor, block, elapsed) {
+        const owner = describeExecutor(executor);
+        if (block) {
+            addProfileSample(profileEntry(profiler.blocks, block.id, () => ({
+                blockId: block.id,
+                blockType: block.type,
+                objectId: owner.objectId,
+                objectName: owner.objectName
+            })), elapsed);
+        }
+        addProfileSample(profileEntry(profiler.executors, executor, () => ({
+            startBlockId: executorStartBlocks.get(executor) || owner.blockId,
+            objectId: owner.objectId,
+            objectName: owner.objectName
+        })), elapsed);
+    }
+    
+    // 복사본 tick의 실행 한 번 (프로파일러, 스텝 디버거, 변수 기록기 포함)
+    function runExecutor(executor) {
+        const block = executor.scope.block;
+        const start = beginExecution(executor, block);
+        let result;
+        try {
+            result = executor.execute(true);
+        } finally {
+            endExecution(executor, block, start);
+        }
+        return result;
+    }
+    
+    // 시간이 많이 든 순서로 정렬한 기록 (프레임당 평균 포함)
+    function rankProfile(map, limit) {
+        const frames = Math.max(1, profiler.frames);
+        return Array.from(map.values())
+            .sort((a, b) => b.time - a.time)
+            .slice(0, limit)
+            .map(entry => {
+                const row = Object.assign({}, entry, {
+                    executionsPerFrame: entry.executions / frames,
+                    timePerFrame: entry.time / frames
+                });
+                // 프레임별 누적은 내부용
+                delete row.frameStart;
+                delete row.frameExecutions;
+                delete row.frameTime;
+                return row;
+            });
+    }
+    
+    // 스텝 디버거: 엔진 루프를 멈춰 두고 tick 하나(모든 오브젝트 한 프레임), 실행자 실행 한 번(iteration),
+    // 또는 블록 하나(block)씩 진행하며, 실행한 블록과 바뀐 변수를 보여 준다.
+    const debugState = {
+        paused: false,
+        stepping: false,   // step()이 직접 tick을 돌리는 중 (멈춤 상태에서도 실행)
+        executed: [],      // 이번 단계에서 실행한 { executor, block }
+        lastBlock: null,   // 마지막으로 실행한 블록 (중단점 보고용)
+        breakHit: false,   // 중단점에 걸려 이번 프레임의 나머지를 건너뛰는 중
+        skipBlock: null,   // 중단점에 걸린 블록 (재개할 때 한 번은 그대로 통과)
+        lastHit: null,
+        cursor: 0,         // 다음 iteration 단계에서 실행할 실행자 순번
+        blockExecutor: null, // 블록 단계가 다음 블록 앞에서 끊은 실행자 (다음 블록 단계가 이어서 실행)
+        steps: 0,          // 멈춘 뒤 진행한 단계 수
+        shortcuts: null    // 등록한 키보드 단축키 처리기
+    };
+    
+    function variableName(variable) {
+        return typeof variable.getName === 'function' ? variable.getName() : variable.name_;
+    }
+    
+    function variableValue(variable) {
+        return typeof variable.getValue === 'function' ? variable.getValue() : variable.value_;
+    }
+    
+    function listItems(list) {
+        const items = typeof list.getArray === 'function' ? list.getArray() : list.array_;
+        return (items || []).map(item => item && item.data !== undefined ? item.data : item);
+    }
+    
+    // 변수 id → { name, value } (리스트는 항목을 JSON 문자열로)
+    function readVariables() {
+        const snapshot = new Map();
+        const container = Entry.variableContainer;
+        if (!container) {
+            return snapshot;
+        }
+        (container.variables_ || []).forEach(variable => {
+            snapshot.set(variable.id_, { name: variableName(variable), value: variableValue(variable) });
+        });
+        (container.lists_ || []).forEach(list => {
+            snapshot.set(list.id_, { name: variableName(list) + ' (리스트)', value: JSON.stringify(listItems(list)) });
+        });
+        return snapshot;
+    }
+    
+    function diffVariables(before, after) {
+        const changes = [];
+        after.forEach((entry, id) => {
+            const previous = before.get(id);
+            if (!previous || previous.value !== entry.value) {
+                changes.push({ name: entry.name, before: previous ? previous.value : undefined, after: entry.value });
+            }
+        });
+        return changes;
+    }
+    
+    // 엔진이 한 프레임에 tick 하는 순서대로 (현재 장면의 오브젝트마다 Code 하나)
+    // mapObjectOnScene을 쓸 수 없으면 모든 오브젝트의 Code를 돈다 (patchPoints.mapObjectOnScene)
+    function sceneCodes() {
+        const codes = [];
+        const collect = object => {
+            if (object.script && codes.indexOf(object.script) === -1) {
+                codes.push(object.script);
+            }
+        };
+        if (patchPoints.mapObjectOnScene.action === 'apply') {
+            Entry.container.mapObjectOnScene(collect);
+        } else if (patchPoints.mapObjectOnScene.action === 'downgrade') {
+            Entry.container.getAllObjects().forEach(collect);
+        }
+        return codes;
+    }
+    
+    function runnableExecutors() {
+        const runnable = [];
+        sceneCodes().forEach(code => {
+            code.executors.forEach(executor => {
+                if (!executor.isEnd() && !isWaiting(executor)) {
+                    runnable.push(executor);
+                }
+            });
+        });
+        return runnable;
+    }
+    
+    function stepTick() {
+        debugState.blockExecutor = null;
+        sceneCodes().forEach(code => code.tick());
+    }
+    
+    function nextStepExecutor() {
+        const runnable = runnableExecutors();
+        if (runnable.length === 0) {
+            return null;
+        }
+        const executor = runnable[debugState.cursor % runnable.length];
+        debugState.cursor = (debugState.cursor + 1) % runnable.length;
+        return executor;
+    }
+    
+    function runStepExecutor(executor) {
+        const { view } = executor.scope.block || {};
+        Entry.dispatchEvent('blockExecute', view);
+        const result = runExecutor(executor);
+        if (result && result.promises && result.promises.length > 0 && patchPoints.addPromiseExecutor.action === 'apply') {
+            Entry.engine.addPromiseExecutor(result.promises);
+        }
+    }
+    
+    // 다음 차례의 실행자를 한 번 실행한다 (끝난 실행자는 다음 tick에서 정리된다)
+    function stepIteration() {
+        debugState.blockExecutor = null;
+        const executor = nextStepExecutor();
+        if (executor) {
+            runStepExecutor(executor);
+        }
+    }
+    
+    // 블록 하나만 실행한다. execute는 블록을 여러 개 이어서 실행하므로, 단계 동안 Block.getSchema를 가려
+    // 첫 블록만 원래 함수로 실행하고 그다음 블록에는 Entry.STATIC.BREAK를 돌려준다. execute는 BREAK를 받으면
+    // scope를 넘기지 않고 끝나므로 다음 블록 단계는 같은 실행자의 그 블록부터 이어진다.
+    function stepBlock() {
+        let executor = debugState.blockExecutor;
+        if (!executor || executor.isEnd() || isWaiting(executor)) {
+            executor = nextStepExecutor();
+        }
+        debugState.blockExecutor = null;
+        if (!executor) {
+            return;
+        }
+        const blockPrototype = Entry.Block.prototype;
+        const getSchema = blockPrototype.getSchema;
+        let calls = 0;
+        blockPrototype.getSchema = function() {
+            const schema = getSchema.apply(this, arguments);
+            if (!schema || typeof schema.func !== 'function') {
+                return schema;
+            }
+            return Object.assign(Object.create(schema), {
+                func: function() {
+                    calls++;
+                    return calls > 1 ? Entry.STATIC.BREAK : schema.func.apply(this, arguments);
+                }
+            });
+        };
+        try {
+            runStepExecutor(executor);
+        } finally {
+            blockPrototype.getSchema = getSchema;
+        }
+        if (calls > 1 && !executor.isEnd()) {
+            debugState.blockExecutor = executor;
+        }
+    }
+    
+    function printStep(mode, executed, changes) {
+        console.log('⏭ 단계 #' + debugState.steps, '(' + mode + '): 실행', executed.length + '회');
+        if (executed.length > 0) {
+            console.table(executed.map(entry => {
+                const owner = describeExecutor(entry.executor);
+                return {
+                    오브젝트: owner.objectName,
+                    '실행한 블록': entry.block ? entry.block.id : null,
+                    '다음 블록': owner.blockId,
+                    종료: entry.executor.isEnd()
+                };
+            }));
+        }
+        if (changes.length > 0) {
+            console.table(changes.map(change => ({ 변수: change.name, 이전: change.before, 이후: change.after })));
+        } else {
+            console.log('  바뀐 변수 없음');
+        }
+    }
+    
+    // F8: 멈춤/재개, F9: tick 한 단계, F10: iteration 한 단계, Shift+F10: 블록 한 단계
+    function handleDebugKey(event) {
+        const debug = window.EntryLimitConfig.debug;
+        if (event.key === 'F8') {
+            debugState.paused ? debug.resume() : debug.pause();
+        } else if (event.key === 'F9') {
+            debug.step('tick');
+        } else if (event.key === 'F10') {
+            debug.step(event.shiftKey ? 'block' : 'iteration');
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+    
+    // 중단점: 블록 id(그 블록을 실행하기 직전, 조건을 붙일 수 있음) 또는
+    // 변수/리스트 조건식(실행 직후 검사해 거짓에서 참이 되는 순간)에서 프레임 중간에 멈춘다.
+    const breakpoints = [];
+    let breakpointSeq = 0;
+    
+    // 조건식에서 쓸 변수 이름 → 값, 리스트 이름 → 항목 배열
+    function variableScope() {
+        const scope = { variables: {}, lists: {} };
+        const container = Entry.variableContainer;
+        if (container) {
+            (container.variables_ || []).forEach(variable => {
+                scope.variables[variableName(variable)] = variableValue(variable);
+            });
+            (container.lists_ || []).forEach(list => {
+                scope.lists[variableName(list)] = listItems(list);
+            });
+        }
+        return scope;
+    }
+    
+    // 'score > 1000'처럼 변수와 리스트 이름을 그대로 쓰는 식, 또는 (variables, lists) => boolean 함수
+    function compileCondition(condition) {
+        if (typeof condition === 'function') {
+            return condition;
+        }
+        return new Function('variables', 'lists', 'with (lists) { with (variables) { return (' + condition + '); } }');
+    }
+    
+    function breakpointLabel(breakpoint) {
+        if (breakpoint.blockId === null) {
+            return breakpoint.condition;
+        }
+        return '블록 ' + breakpoint.blockId + (breakpoint.condition ? ' & ' + breakpoint.condition : '');
+    }
+    
+    function evaluateBreakpoint(breakpoint, scope) {
+        try {
+            return !!breakpoint.test(scope.variables, scope.lists);
+        } catch (e) {
+            // 같은 오류를 반복마다 찍지 않도록 처음 한 번만 알린다
+            if (!breakpoint.error) {
+                breakpoint.error = e;
+                console.warn('⚠️ 중단점 #' + breakpoint.id, '조건 오류:', e.message);
+            }
+            return false;
+        }
+    }
+    
+    function triggerBreakpoint(breakpoint, executor, block, iteration) {
+        const owner = describeExecutor(executor);
+        breakpoint.hits++;
+        debugState.paused = true;
+        debugState.breakHit = true;
+        debugState.lastHit = {
+            breakpointId: breakpoint.id,
+            label: breakpointLabel(breakpoint),
+            objectId: owner.objectId,
+            objectName: owner.objectName,
+            blockId: block ? block.id : null,
+            iteration: iteration,
+            frameIterations: frameState.iterations,
+            frame: window.EntryLimitConfig.stats.frames
+        };
+        console.warn('🔴 중단점 #' + breakpoint.id, '(' + breakpointLabel(breakpoint) + '):',
+            owner.objectName, '/ 블록', debugState.lastHit.blockId, '/ 이번 프레임 반복', iteration + '회 후');
+        console.warn('   EntryLimitConfig.debug.step() 또는 debug.resume() 으로 계속');
+    }
+    
+    // 실행 직전: 지금 실행할 블록에 걸린 중단점
+    function checkBlockBreakpoints(executor, iteration) {
+        const block = executor.scope.block;
+        if (!block) {
+            return false;
+        }
+        const skip = debugState.skipBlock;
+        if (skip && skip.executor === executor && skip.blockId === block.id) {
+            debugState.skipBlock = null;
+            return false;
+        }
+        const breakpoint = breakpoints.find(item => item.blockId === block.id &&
+            (!item.test || evaluateBreakpoint(item, variableScope())));
+        if (!breakpoint) {
+            return false;
+        }
+        debugState.skipBlock = { executor: executor, blockId: block.id };
+        triggerBreakpoint(breakpoint, executor, block, iteration);
+        return true;
+    }
+    
+    // 실행 직후: 조건식 중단점 (방금 실행한 블록을 원인으로 보고)
+    function checkConditionBreakpoints(executor, iteration) {
+        let scope = null;
+        for (const breakpoint of breakpoints) {
+            if (breakpoint.blockId !== null) {
+                continue;
+            }
+            scope = scope || variableScope();
+            const result = evaluateBreakpoint(breakpoint, scope);
+            const rising = result && !breakpoint.lastResult;
+            breakpoint.lastResult = result;
+            if (rising) {
+                triggerBreakpoint(breakpoint, executor, debugState.lastBlock, iteration);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    function addBreakpoint(blockId, condition) {
+        let test = null;
+        if (condition !== undefined && condition !== null) {
+            try {
+                test = compileCondition(condition);
+            } catch (e) {
+                console.error('❌ 조건식을 해석할 수 없습니다:', condition, e.message);
+                return null;
+            }
+        }
+        const breakpoint = {
+            id: ++breakpointSeq,
+            blockId: blockId,
+            condition: test ? String(condition) : null,
+            test: test,
+            hits: 0,
+            lastResult: false,
+            error: null
+        };
+        breakpoints.push(breakpoint);
+        console.log('✓ 중단점 #' + breakpoint.id, '추가:', breakpointLabel(breakpoint));
+        return breakpoint.id;
+    }
+    
+    // 변수/리스트 변화 기록기: 고른 변수와 리스트를 실행마다 비교해 바뀐 값을
+    // 프레임 번호, 프레임 안의 반복 순번, 원인 블록과 함께 고정 크기 링 버퍼에 남긴다.
+    const recorder = {
+        running: false,
+        watches: [],       // { kind, target, name, last }
+        buffer: [],
+        capacity: 10000,
+        next: 0,           // 버퍼가 찬 뒤 다음에 덮어쓸 위치
+        dropped: 0,        // 덮어써서 잃은 기록 수
+        frameStart: 0,
+        execution: 0       // 이번 프레임에서 몇 번째 실행인지 (첫 패스 포함)
+    };
+    
+    function readWatchValue(watch) {
+        return watch.kind === 'list' ? JSON.stringify(listItems(watch.target)) : variableValue(watch.target);
+    }
+    
+    // names: 변수/리스트 이름 또는 id 목록 (생략하면 전부)
+    // 이름 하나만 주면 배열로 감싼다 (문자열의 indexOf는 일부만 같은 이름도 찾는다)
+    function resolveWatches(names) {
+        if (typeof names === 'string') {
+            names = [names];
+        }
+        const container = Entry.variableContainer || {};
+        const variables = (container.variables_ || []).map(target => ({ kind: 'variable', target: target }));
+        const lists = (container.lists_ || []).map(target => ({ kind: 'list', target: target }));
+        const candidates = variables.concat(lists);
+        const chosen = names === undefined
+            ? candidates
+            : candidates.filter(item => names.indexOf(variableName(item.target)) !== -1 || names.indexOf(item.target.id_) !== -1);
+        return chosen.map(item => Object.assign(item, { name: variableName(item.target), last: readWatchValue(item) }));
+    }
+    
+    function pushTrace(entry) {
+        if (recorder.buffer.length < recorder.capacity) {
+            recorder.buffer.push(entry);
+        } else {
+            recorder.buffer[recorder.next] = entry;
+            recorder.dropped++;
+        }
+        recorder.next = (recorder.next + 1) % recorder.capacity;
+    }
+    
+    function traceEntry(watch, owner, block, iteration) {
+        return {
+            tick: window.EntryLimitConfig.stats.frames,
+            iteration: iteration,
+            objectName: owner ? owner.objectName : null,
+            blockId: block ? block.id : null,
+            blockType: block ? block.type : null,
+            name: watch.name,
+            kind: watch.kind,
+            value: watch.last
+        };
+    }
+    
+    function recordTraceChanges(executor, block) {
+        if (recorder.frameStart !== frameState.start) {
+            recorder.frameStart = frameState.start;
+            recorder.execution = 0;
+        }
+        const iteration = recorder.execution++;
+        let owner = null;
+        for (const watch of recorder.watches) {
+            const value = readWatchValue(watch);
+            if (value !== watch.last) {
+                watch.last = value;
+                owner = owner || describeExecutor(executor);
+                pushTrace(traceEntry(watch, owner, block, iteration));
+            }
+        }
+    }
+    
+    // 오래된 기록부터
+    function traceEntries() {
+        if (recorder.buffer.length < recorder.capacity) {
+            return recorder.buffer.slice();
+        }
+        return recorder.buffer.slice(recorder.next).concat(recorder.buffer.slice(0, recorder.next));
+    }
+    
+    function csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+    
+    // 빨리 감기: 엔진의 시간원(Date, performance.now, setTimeout/setInterval)을 가상 시계로 바꾸고
+    // 프레임마다 가상 시각을 엔진 tick 간격만큼 진행하며 엔진 대신 프레임을 돌린다.
+    // 타이머, 기다리기 블록, 프레임 수가 정상 속도 실행과 같으므로 결과도 같다.
+    // (시간 예산 모드는 반복 횟수가 실제 시간에 따라 달라지므로 결정적이지 않다)
+    const VIRTUAL_TIMER_BASE = 1e9; // 가상 타이머 id가 실제 타이머 id와 겹치지 않도록
+    const virtualClock = {
+        now: 0,              // 가상 performance.now 값 (ms)
+        epoch: 0,            // 가상 Date 값 = epoch + now
+        timers: new Map(),   // 가상 타이머 id → { at, fn, args, interval }
+        seq: 0,
+        saved: null,         // 가상 시계를 까는 동안 바꿔 둔 원래 전역 함수
+        realClear: null,     // 원래 clearTimeout / clearInterval
+        handoff: new Map()   // 빨리 감기가 끝날 때 실제 타이머로 옮긴 가상 id → { realId, timer, due }
+    };
+    
+    const fastForward = {
+        running: false,
+        driving: false,      // 빨리 감기가 직접 프레임을 돌리는 중 (엔진이 부른 tick은 무시)
+        stopRequested: false,
+        restoreOnEnd: false  // 빨리 감기 중에 초기화함: 끝나면 시계와 타이머를 원래대로 되돌린다
+    };
+    
+    function addVirtualTimer(fn, delay, args, repeat) {
+        const id = VIRTUAL_TIMER_BASE + ++virtualClock.seq;
+        const ms = Math.max(0, Number(delay) || 0);
+        virtualClock.timers.set(id, {
+            at: virtualClock.now + ms,
+            fn: fn,
+            args: args,
+            interval: repeat ? Math.max(1, ms) : null
+        });
+        return id;
+    }
+    
+    // 가상 타이머, 실제 타이머로 옮긴 가상 타이머, 원래 실제 타이머를 모두 지울 수 있다
+    function clearAnyTimer(id) {
+        if (virtualClock.timers.delete(id)) {
+            return;
+        }
+        if (virtualClock.handoff.has(id)) {
+            virtualClock.realClear.clearTimeout.call(window, virtualClock.handoff.get(id).realId);
+            virtualClock.handoff.delete(id);
+            restoreClearFunctions();
+            return;
+        }
+        virtualClock.realClear.clearTimeout.call(window, id);
+    }
+    
+    function installVirtualClock() {
+        const RealDate = Date;
+        virtualClock.saved = {
+            Date: RealDate,
+            performanceNow: performance.now,
+            setTimeout: window.setTimeout,
+            setInterval: window.setInterval
+        };
+        if (!virtualClock.realClear) {
+            virtualClock.realClear = { clearTimeout: window.clearTimeout, clearInterval: window.clearInterval };
+        }
+        // 엔진이 지금 보는 시각(시간 배율 적용 중이면 배율 시계)에서 이어 간다
+        virtualClock.now = virtualClock.saved.performanceNow.call(performance);
+        virtualClock.epoch = RealDate.now() - virtualClock.now;
+        
+        class VirtualDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(virtualClock.epoch + virtualClock.now);
+                } else {
+                    super(...args);
+                }
+            }
+            
+            static now() {
+                return Math.floor(virtualClock.epoch + virtualClock.now);
+            }
+        }
+        
+        window.Date = VirtualDate;
+        performance.now = () => virtualClock.now;
+        window.setTimeout = (fn, delay, ...args) => addVirtualTimer(fn, delay, args, false);
+        window.setInterval = (fn, delay, ...args) => addVirtualTimer(fn, delay, args, true);
+        window.clearTimeout = clearAnyTimer;
+        window.clearInterval = clearAnyTimer;
+        
+        // 지난 빨리 감기에서 실제 타이머로 옮긴 타이머는 다시 가상 시계로 가져온다
+        virtualClock.handoff.forEach((entry, id) => {
+            virtualClock.realClear.clearTimeout.call(window, entry.realId);
+            entry.timer.at = Math.max(virtualClock.now, entry.due); // 가상 시계는 엔진 시각에서 출발한다
+            virtualClock.timers.set(id, entry.timer);
+        });
+        virtualClock.handoff.clear();
+    }
+    
+    function uninstallVirtualClock() {
+        const saved = virtualClock.saved;
+        window.Date = saved.Date;
+        performance.now = saved.performanceNow;
+        window.setTimeout = saved.setTimeout;
+        window.setInterval = saved.setInterval;
+        
+        // 빨리 감은 만큼 앞선 엔진 시각을 배율 시계로 이어 간다 (되돌아가면 프로젝트 타이머가 줄어든다)
+        timeScale.shifted = true;
+        applyTimeScale(timeScale.scale, virtualClock.now);
+        
+        // 남은 가상 타이머는 남은 시간만큼 실제 타이머로 옮긴다 (due와 지연 시간은 엔진 시각 기준)
+        const setEngineTimeout = window.setTimeout;
+        virtualClock.timers.forEach((timer, id) => {
+            const entry = { realId: null, timer: timer, due: timer.at };
+            const fire = () => {
+                if (timer.interval === null) {
+                    virtualClock.handoff.delete(id);
+                    restoreClearFunctions();
+                } else {
+                    entry.due = performance.now() + timer.interval;
+                    entry.realId = setEngineTimeout.call(window, fire, timer.interval);
+                }
+                if (typeof timer.fn === 'function') {
+                    timer.fn.apply(window, timer.args);
+                }
+            };
+            entry.realId = setEngineTimeout.call(window, fire, timer.at - virtualClock.now);
+            virtualClock.handoff.set(id, entry);
+        });
+        virtualClock.timers.clear();
+        virtualClock.saved = null;
+        
+        restoreClearFunctions();
+    }
+    
+    // 실제 타이머로 옮긴 타이머가 모두 끝나면 clear 함수도 원래대로
+    function restoreClearFunctions() {
+        if (virtualClock.handoff.size === 0 && !virtualClock.saved) {
+            window.clearTimeout = virtualClock.realClear.clearTimeout;
+            window.clearInterval = virtualClock.realClear.clearInterval;
+        }
+    }
+    
+    // 가상 시각을 ms만큼 진행하며 그 사이에 도래한 타이머를 시각 순서대로 실행한다
+    function advanceVirtualClock(ms) {
+        const target = virtualClock.now + ms;
+        while (true) {
+            let nextId = null;
+            let next = null;
+            virtualClock.timers.forEach((timer, id) => {
+                if (timer.at <= target && (!next || timer.at < next.at)) {
+                    next = timer;
+                    nextId = id;
+                }
+            });
+            if (!next) {
+                break;
+            }
+            virtualClock.now = Math.max(virtualClock.now, next.at);
+            if (next.interval === null) {
+                virtualClock.timers.delete(nextId);
+            } else {
+                next.at += next.interval;
+            }
+            try {
+                if (typeof next.fn === 'function') {
+                    next.fn.apply(window, next.args);
+                }
+            } catch (e) {
+                console.error('❌ 빨리 감기 중 타이머 오류:', e);
+            }
+        }
+        virtualClock.now = target;
+    }
+    
+    // 엔진 한 프레임: 현재 장면의 오브젝트를 tick 하고 프로젝트 타이머를 갱신한다
+    function runEngineFrame() {
+        if (Entry.engine && typeof Entry.engine.computeObjects === 'function') {
+            Entry.engine.computeObjects();
+        } else {
+            sceneCodes().forEach(code => code.tick());
+        }
+        if (Entry.engine && typeof Entry.engine.updateProjectTimer === 'function') {
+            Entry.engine.updateProjectTimer();
+        }
+    }
+    
+    // options: 프레임 수 또는 { frames, until, maxFrames }
+    async function runFastForward(options) {
+        const settings = typeof options === 'number' ? { frames: options } : Object.assign({}, options);
+        const frames = settings.frames === undefined ? Infinity : settings.frames;
+        const maxFrames = settings.maxFrames === undefined ? 36000 : settings.maxFrames;
+        const until = settings.until === undefined ? null : compileCondition(settings.until);
+        const frameMs = Math.floor(1000 / (Entry.FPS || 60)); // 엔진 tick 간격과 같게
+        const realStart = realNow();
+        let lastYield = realStart;
+        let frame = 0;
+        let reason = frames <= maxFrames ? 'frames' : 'maxFrames';
+        
+        fastForward.running = true;
+        fastForward.stopRequested = false;
+        fastForward.restoreOnEnd = false;
+        installVirtualClock();
+        try {
+            while (frame < Math.min(frames, maxFrames)) {
+                if (fastForward.stopRequested) {
+                    reason = 'stopped';
+                    break;
+                }
+                if (debugState.breakHit) {
+                    reason = 'breakpoint';
+                    break;
+                }
+                if (until) {
+                    const scope = variableScope();
+                    if (until(scope.variables, scope.lists)) {
+                        reason = 'condition';
+                        break;
+                    }
+                }
+                
+                advanceVirtualClock(frameMs);
+                fastForward.driving = true;
+                try {
+                    runEngineFrame();
+                } finally {
+                    fastForward.driving = false;
+                }
+                frame++;
+                
+                // Promise로 끝나는 블록(소리, 확장 블록 등)이 진행되도록 마이크로태스크를 비운다
+                await null;
+                // 화면이 굳지 않도록 가끔 실제 이벤트 루프에 양보한다 (그동안 엔진이 부른 tick은 무시된다)
+                if (realNow() - lastYield > 100) {
+                    await new Promise(resolve => virtualClock.saved.setTimeout.call(window, resolve, 0));
+                    lastYield = realNow();
+                }
+            }
+        } finally {
+            uninstallVirtualClock();
+            fastForward.running = false;
+            if (fastForward.restoreOnEnd) {
+                fastForward.restoreOnEnd = false;
+                restoreRealTiming();
+            }
+        }
+        return { frames: frame, virtualMs: frame * frameMs, realMs: realNow() - realStart, reason: reason };
+    }
+    
+    // 디버거로 멈췄거나 중단점에 걸린 프레임이거나, 빨리 감기 중에 엔진이 직접 부른 tick이면 건너뛴다
+    function isTickSuspended() {
+        if (fastForward.running && !fastForward.driving) {
+            return true;
+        }
+        return (debugState.paused && !debugState.stepping) || debugState.breakHit;
+    }
+    
+    // 시간 배율: 엔진이 보는 시계(Date, performance.now)를 배율만큼 빠르게(느리게) 흐르게 하고
+    // 타이머 대기 시간과 엔진 tick 간격은 배율로 나눈다. 프레임 수, 기다리기 블록, 프로젝트 타이머가
+    // 같은 비율로 바뀌므로 프로젝트 안에서 보면 정상 속도로 실행한 것과 같다.
+    const timeScale = {
+        scale: 1,
+        realStart: 0,    // 배율을 마지막으로 바꾼 실제 시각
+        engineStart: 0,  // 그때 엔진이 본 시각
+        epoch: 0,        // 엔진 Date 값 = epoch + 엔진 performance.now
+        shifted: false,  // 엔진 시각이 실제 시각과 어긋나 있음 (빨리 감기, 배율을 바꿨던 시간)
+        saved: null      // 배율 시계를 까는 동안 바꿔 둔 원래 전역 함수
+    };
+    
+    function scaledNow() {
+        return timeScale.engineStart + (realNow() - timeScale.realStart) * timeScale.scale;
+    }
+    
+    function installTimeScale() {
+        const RealDate = Date;
+        const saved = {
+            Date: RealDate,
+            performanceNow: performance.now,
+            setTimeout: window.setTimeout,
+            setInterval: window.setInterval
+        };
+        timeScale.saved = saved;
+        timeScale.epoch = RealDate.now() - realNow();
+        
+        class ScaledDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(timeScale.epoch + scaledNow());
+                } else {
+                    super(...args);
+                }
+            }
+            
+            static now() {
+                return Math.floor(timeScale.epoch + scaledNow());
+            }
+        }
+        
+        window.Date = ScaledDate;
+        performance.now = scaledNow;
+        window.setTimeout = (fn, delay, ...args) =>
+            saved.setTimeout.call(window, fn, (Number(delay) || 0) / timeScale.scale, ...args);
+        window.setInterval = (fn, delay, ...args) =>
+            saved.setInterval.call(window, fn, (Number(delay) || 0) / timeScale.scale, ...args);
+    }
+    
+    function uninstallTimeScale() {
+        const saved = timeScale.saved;
+        window.Date = saved.Date;
+        performance.now = saved.performanceNow;
+        window.setTimeout = saved.setTimeout;
+        window.setInterval = saved.setInterval;
+        timeScale.saved = null;
+    }
+    
+    // 배율을 바꾼 순간의 엔진 시각(engineNow, 생략하면 지금 시각)을 기준점으로 삼아 시계가 끊기지 않게 한다.
+    // 배율 1로 돌아와도 엔진 시각이 실제 시각과 1ms 넘게 어긋나 있거나 앞서 있으면, 원래 시계로 바꾸는 순간
+    // performance.now와 Date.now가 뒤로 가거나 건너뛰므로 그 차이만 남긴 시계를 계속 쓴다.
+    function applyTimeScale(scale, engineNow) {
+        if (engineNow === undefined) {
+            engineNow = timeScale.saved ? scaledNow() : realNow();
+        }
+        timeScale.engineStart = engineNow;
+        timeScale.realStart = realNow();
+        timeScale.scale = scale;
+        const offset = engineNow - timeScale.realStart;
+        if (timeScale.saved && (offset > 0 || offset <= -1)) {
+            timeScale.shifted = true;
+        }
+        const needed = scale !== 1 || timeScale.shifted;
+        if (needed && !timeScale.saved) {
+            installTimeScale();
+        } else if (!needed && timeScale.saved) {
+            uninstallTimeScale();
+        }
+    }
+    
+    // 엔진 tick 간격 (ms): FPS 기준 간격을 배율로 나눈다
+    function engineTickInterval() {
+        return Math.max(1, Math.floor(1000 / (Entry.FPS || 60) / timeScale.scale));
+    }
+    
+    // 실행 중인 엔진 루프(Entry.engine.ticker)를 새 간격으로 다시 건다
+    function restartEngineTicker() {
+        const engine = Entry.engine;
+        if (!engine || !engine.ticker || typeof engine.update !== 'function') {
+            return false;
+        }
+        const realSetInterval = timeScale.saved ? timeScale.saved.setInterval : window.setInterval;
+        clearInterval(engine.ticker);
+        engine.ticker = realSetInterval.call(window, () => engine.update(), engineTickInterval());
+        return true;
+    }
+    
+    // 초기화할 때 시간원을 원래대로: 배율 시계를 걷어 내고, 빨리 감기가 끝나며 실제 타이머로 옮겨 둔
+    // 가상 타이머는 남은 시간만큼 원래 setTimeout/setInterval에 다시 걸어 clear 함수까지 되돌린다.
+    // (다시 건 타이머는 프로젝트가 가진 가상 id로는 지울 수 없다) 엔진 시계는 실제 시각으로 돌아간다.
+    function restoreRealTiming() {
+        const engineNow = performance.now();
+        const pending = Array.from(virtualClock.handoff.values());
+        pending.forEach(entry => virtualClock.realClear.clearTimeout.call(window, entry.realId));
+        virtualClock.handoff.clear();
+        
+        const scaled = timeScale.saved !== null;
+        if (scaled) {
+            uninstallTimeScale();
+        }
+        timeScale.scale = 1;
+        timeScale.shifted = false;
+        
+        pending.forEach(entry => {
+            const timer = entry.timer;
+            const run = () => {
+                if (typeof timer.fn === 'function') {
+                    timer.fn.apply(window, timer.args);
+                }
+            };
+            const delay = Math.max(0, entry.due - engineNow);
+            if (timer.interval === null) {
+                window.setTimeout(run, delay);
+            } else {
+                window.setTimeout(() => {
+                    window.setInterval(run, timer.interval);
+                    run();
+                }, delay);
+            }
+        });
+        if (virtualClock.realClear) {
+            restoreClearFunctions();
+        }
+        if (scaled) {
+            restartEngineTicker();
+        }
+    }
+    
+    // 워치독에 의해 멈춰 둔 실행자 목록
+    const stalledExecutors = [];
+    let stalledSeq = 0;
+    
+    function describeExecutor(executor) {
+        const block = executor.scope && executor.scope.block;
+        const object = executor.entity && executor.entity.parent;
+        return {
+            objectId: object ? object.id : null,
+            objectName: object ? object.name : null,
+            blockId: block ? block.id : null
+        };
+    }
+    
+    function isTickStalled(config, tickStart) {
+        return config.watchdogMs !== null && realNow() - tickStart > config.watchdogMs;
+    }
+    
+    // 아직 끝나지 않은 반복 실행자를 Code에서 떼어 내 멈춰 둔다.
+    // resumeExecutor()로 다시 붙이거나 killExecutor()로 종료할 수 있다.
+    function stallExecutors(code, loopExecutor, elapsed) {
+        const stalled = [];
+        for (const executor of loopExecutor) {
+            if (executor.isEnd() || isWaiting(executor)) {
+                continue;
+            }
+            const index = code.executors.indexOf(executor);
+            if (index !== -1) {
+                code.executors.splice(index, 1);
+            }
+            const entry = Object.assign({
+                id: ++stalledSeq,
+                executor: executor,
+                code: code,
+                elapsed: Math.round(elapsed)
+            }, describeExecutor(executor));
+            stalledExecutors.push(entry);
+            stalled.push(entry);
+        }
+        loopExecutor.length = 0;
+        
+        console.warn('⚠️ 워치독: tick이', Math.round(elapsed) + 'ms 동안 끝나지 않아 실행자', stalled.length + '개를 멈췄습니다.');
+        stalled.forEach(entry => {
+            console.warn('  #' + entry.id, entry.objectName, '(블록 ' + entry.blockId + ')');
+        });
+        console.warn('  EntryLimitConfig.getStalledExecutors() 로 확인 후 resumeExecutor(id) / killExecutor(id)');
+    }
+    
+    function takeStalled(target) {
+        const index = stalledExecutors.findIndex(entry => entry.id === target || entry.executor === target);
+        return index === -1 ? null : stalledExecutors.splice(index, 1)[0];
+    }
+    
+    // 래핑 전략: 원본 tick을 그대로 부르고, 호출마다 Entry.tickTime과 isUpdateTime으로
+    // 원본의 터보 반복 패스가 돌 시간 창을 정해 준다. 원본은 반복 횟수를 알려 주지 않으므로
+    // 반복 실행자의 execute 호출을 세고, 최근 호출에서 잰 반복 1회당 시간으로 창을 어림잡는다.
+    // 그래서 횟수 제한은 근사치이고, 시간 예산 모드에서 가장 정확하다.
+    // 횟수가 모자라면 원본을 다시 부르는데, 이때는 반복문이 아닌 실행자를 멈춘 것처럼 보이게 해
+    // 복사본 전략처럼 프레임당 한 번만 실행되게 한다. (프레임 수로 움직이는 블록이 빨라지지 않도록)
+    // 원본은 반복 실행자가 모두 대기 중이어도 시간 창이 끝날 때까지 헛돌므로, 한 번에 주는 창은
+    // WRAP_SLICE_MS를 넘지 않게 자르고 호출마다 진행 여부와 워치독을 확인한다.
+    // 개별 규칙과 가중치는 복사본 전략에서만 동작한다.
+    const WRAP_SLICE_MS = 8;
+    const wrapState = {
+        loopExecutions: 0,   // 반복 실행자의 execute 호출 수 (Executor.execute 래퍼가 센다)
+        sampleTime: 0,       // 최근 호출에 걸린 시간 (오래된 값일수록 덜 반영)
+        sampleIterations: 0, // 같은 기간의 반복 횟수
+        calling: false,      // 원본 tick을 부르는 중 (Executor.execute 래퍼가 실행 기록과 중단점을 맡는다)
+        frameBase: 0         // 이번 프레임이 시작될 때의 loopExecutions (앞선 Code의 반복 횟수를 뺀 값)
+    };
+    
+    // 중단점에 걸리면 래퍼가 tickTime을 0으로 내려 원본의 반복 패스를 끝내므로 호출 뒤에 되돌린다.
+    // loopOnly면 반복문이 아닌 실행자의 isPause를 잠시 true로 가려 원본의 첫 패스가 건너뛰게 한다.
+    const holdPause = () => true;
+    function callOriginalTick(code, originalTick, loopOnly) {
+        const savedTickTime = Entry.tickTime;
+        const held = loopOnly
+            ? code.executors.filter(executor => !executor.isLooped && !Object.prototype.hasOwnProperty.call(executor, 'isPause'))
+            : [];
+        held.forEach(executor => {
+            executor.isPause = holdPause;
+        });
+        wrapState.calling = true;
+        try {
+            originalTick.call(code);
+        } finally {
+            wrapState.calling = false;
+            Entry.tickTime = savedTickTime;
+            held.forEach(executor => {
+                delete executor.isPause;
+            });
+        }
+    }
+    
+    // 래핑 전략에서 이번 프레임에 실행된 반복 횟수 (중단점 표시용)
+    function wrapIterations() {
+        return wrapState.loopExecutions - wrapState.frameBase;
+    }
+    
+    function msPerIteration() {
+        return wrapState.sampleIterations > 0 ? wrapState.sampleTime / wrapState.sampleIterations : 0;
+    }
+    
+    // 이번 호출에 줄 시간 창 (ms): 남은 횟수 × 1회당 시간, 시간 예산과 워치독 안쪽으로 자른다.
+    // 무제한이어도 WRAP_SLICE_MS까지만 주고, 반복 실행자가 모두 대기 중이면 한 바퀴만 돌게 0을 준다.
+    function wrapWindow(config, remaining, tickStart, loopExecutors) {
+        if (loopExecutors.every(executor => executor.isEnd() || isWaiting(executor))) {
+            return 0;
+        }
+        const now = realNow();
+        let windowMs = Math.min(remaining * msPerIteration(), WRAP_SLICE_MS);
+        if (config.timeBudget !== null) {
+            windowMs = Math.min(windowMs, config.timeBudget - (now - frameState.start));
+        }
+        if (config.watchdogMs !== null) {
+            windowMs = Math.min(windowMs, config.watchdogMs - (now - tickStart));
+        }
+        return Math.max(0, windowMs);
+    }
+    
+    function isWrapTimeUp(config, tickStart) {
+        const now = realNow();
+        if (config.timeBudget !== null && now - frameState.start >= config.timeBudget) {
+            return true;
+        }
+        return config.watchdogMs !== null && now - tickStart >= config.watchdogMs;
+    }
+    
+    // 설치한 전략별 tick 함수 ('copy' / 'wrap')
+    const tickStrategies = {};
+    
+    // 패치 지점 호환성 검사 (diagnose.js와 같은 기준으로 이 도구가 쓰는 지점만 본다)
+    // 필수 지점이 맞지 않으면 그 패치는 건너뛰고, 선택 지점이 없으면 기능을 줄여 적용한다.
+    const PATCH_ACTIONS = {
+        apply: '적용',
+        downgrade: '축소 적용',
+        skip: '건너뜀'
+    };
+    
+    function sourceMentions(fn, names) {
+        let source = '';
+        try {
+            source = Function.prototype.toString.call(fn);
+        } catch (e) {
+            return false;
+        }
+        return names.every(name => source.indexOf(name) !== -1);
+    }
+    
+    function patchPoint(label, status, action, detail) {
+        return { label: label, status: status, action: action, detail: detail || '' };
+    }
+    
+    function probePatchPoints() {
+        const points = {};
+        
+        const tick = Entry.Code && Entry.Code.prototype && Entry.Code.prototype.tick;
+        if (typeof tick !== 'function') {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'missing', 'skip', 'tick이 없습니다.');
+        } else if (tick.length !== 0 || !sourceMentions(tick, ['executors'])) {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'warn', 'downgrade',
+                '원본 tick의 모양이 달라 복사본 대신 원본을 감싸는 래핑 전략만 씁니다.');
+        } else {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'ok', 'apply');
+        }
+        
+        const executorProto = Entry.Executor && Entry.Executor.prototype;
+        if (!executorProto) {
+            points.executorApi = patchPoint('Entry.Executor', 'warn', 'downgrade',
+                '노출되지 않아 함수 호출 깊이를 Entry 카운터로만 셉니다.');
+        } else {
+            const missing = ['isPause', 'isEnd', 'execute'].filter(name => typeof executorProto[name] !== 'function');
+            points.executorApi = missing.length
+                ? patchPoint('Entry.Executor', 'missing', 'skip', missing.join(', ') + ' 없음')
+                : patchPoint('Entry.Executor', 'ok', 'apply');
+        }
+        
+        points.isLooped = typeof tick === 'function' && sourceMentions(tick, ['isLooped'])
+            ? patchPoint('executor.isLooped', 'ok', 'apply')
+            : patchPoint('executor.isLooped', 'warn', 'downgrade', '원본이 isLooped를 쓰지 않아 반복문 가속이 안 될 수 있습니다.');
+        
+        points.watchEvent = Entry.Event && Entry.Event.prototype && typeof Entry.Event.prototype.hasListeners === 'function'
+            ? patchPoint('watchEvent.hasListeners', 'ok', 'apply')
+            : patchPoint('watchEvent.hasListeners', 'warn', 'downgrade', '인스턴스에 없으면 감시 알림을 생략합니다.');
+        
+        points.addPromiseExecutor = Entry.engine && typeof Entry.engine.addPromiseExecutor === 'function'
+            ? patchPoint('Entry.engine.addPromiseExecutor', 'ok', 'apply')
+            : patchPoint('Entry.engine.addPromiseExecutor', 'missing', 'downgrade', '비동기 블록의 Promise를 엔진에 등록하지 않습니다.');
+        
+        const descriptor = Object.getOwnPropertyDescriptor(Entry, 'callStackLength');
+        points.callStackLength = descriptor && descriptor.configurable === false
+            ? patchPoint('Entry.callStackLength', 'warn', 'skip', '재정의할 수 없는 속성입니다.')
+            : patchPoint('Entry.callStackLength', 'ok', 'apply');
+        
+        // 터보 단계 칸은 속도 패널을 열 때 만들어지는 speedProgress_ 표에 붙는다
+        const toggleSpeedPanel = Entry.engine && Entry.engine.toggleSpeedPanel;
+        const setSpeedMeter = Entry.engine && Entry.engine.setSpeedMeter;
+        if (typeof toggleSpeedPanel !== 'function' || typeof setSpeedMeter !== 'function') {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'missing', 'downgrade',
+                'Entry 속도 조절에 터보 단계를 붙이지 않습니다. (setTurboLevel()로만 바꿈)');
+        } else if (toggleSpeedPanel.length !== 0 || !sourceMentions(toggleSpeedPanel, ['speedProgress_']) ||
+                   setSpeedMeter.length !== 1) {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'warn', 'downgrade',
+                '속도 조절의 모양이 달라 터보 단계를 붙이지 않습니다. (setTurboLevel()로만 바꿈)');
+        } else {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'ok', 'apply');
+        }
+        
+        // 디버거 단계 실행은 엔진처럼 현재 장면의 오브젝트만 돈다
+        const container = Entry.container;
+        const canListAll = !!container && typeof container.getAllObjects === 'function';
+        if (!container || typeof container.mapObjectOnScene !== 'function') {
+            points.mapObjectOnScene = canListAll
+                ? patchPoint('Entry.container.mapObjectOnScene', 'missing', 'downgrade', '디버거 단계 실행이 현재 장면 대신 모든 오브젝트를 돕니다.')
+                : patchPoint('Entry.container.mapObjectOnScene', 'missing', 'skip', '디버거 단계 실행에서 돌릴 오브젝트를 찾지 못합니다.');
+        } else if (container.mapObjectOnScene.length !== 1) {
+            points.mapObjectOnScene = canListAll
+                ? patchPoint('Entry.container.mapObjectOnScene', 'warn', 'downgrade', '모양이 달라 디버거 단계 실행이 모든 오브젝트를 돕니다.')
+                : patchPoint('Entry.container.mapObjectOnScene', 'warn', 'skip', '모양이 달라 디버거 단계 실행에서 돌릴 오브젝트를 찾지 못합니다.');
+        } else {
+            points.mapObjectOnScene = patchPoint('Entry.container.mapObjectOnScene', 'ok', 'apply');
+        }
+        
+        // 블록 단위 단계: execute가 Block.getSchema로 블록 함수를 얻고, Entry.STATIC.BREAK를 받으면 멈춰야 한다
+        const blockPrototype = Entry.Block && Entry.Block.prototype;
+        if (!blockPrototype || typeof blockPrototype.getSchema !== 'function' || !Entry.STATIC || Entry.STATIC.BREAK === undefined) {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'missing', 'skip',
+                '블록 단위 단계(debug.step("block"))를 쓸 수 없습니다.');
+        } else if (!executorProto || typeof executorProto.execute !== 'function' ||
+                   !sourceMentions(executorProto.execute, ['getSchema', 'BREAK'])) {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'warn', 'skip',
+                'execute 구현이 달라 블록 단위 단계(debug.step("block"))를 쓸 수 없습니다.');
+        } else {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'ok', 'apply');
+        }
+        
+        return points;
+    }
+    
+    const patchPoints = probePatchPoints();
+    window.EntryLimitConfig.compat = patchPoints;
+    
+    // 1. Entry.isTurbo는 설치 마지막에 setTurboLevel('x1')로 켠다
+    //    (Entry 속도 조절, 터보 단계 칸, 제어 패널이 같은 경로로 함께 바뀌도록)
+    
+    // 2. Entry.tickTime 조정 (더 긴 시간으로 설정)
+    Entry.tickTime = 999999; // 매우 큰 값으로 설정
+    console.log('✓ Entry.tickTime =', Entry.tickTime, 'ms로 설정');
+    
+    // 3. Code.prototype.tick 메서드 직접 오버라이드
+    // 복사본 전략은 원본 tick 모양과 Executor API가 맞아야 하고, 래핑 전략은 원본 tick만 있으면 된다
+    const canCopyTick = patchPoints.codeTick.action === 'apply' && patchPoints.executorApi.action !== 'skip';
+    if (patchPoints.codeTick.action !== 'skip') {
+        // 원본 메서드 백업
+        window.EntryLimitConfig.originalMethods.tick = Entry.Code.prototype.tick;
+        
+        // 복사본 전략: EntryJS의 tick 본문을 옮겨 와 반복 패스를 직접 돌린다
+        tickStrategies.copy = function() {
+            if (isTickSuspended()) {
+                return;
+            }
+            const config = window.EntryLimitConfig;
+            const tickStart = realNow();
+            beginFrame(this);
+            const tick = startTickHooks(this, tickStart);
+            let limitReached = false;
+            
+            if (Entry.isTurbo && !this.isUpdateTime) {
+                this.isUpdateTime = performance.now();
+            }
+            
+            const executors = this.executors;
+            const watchEvent = this.watchEvent;
+            const shouldNotifyWatch = shouldNotifyWatchFor(config, this);
+            let result;
+            const executedBlocks = new Set(); // 감시 알림에 담을 블록 (중복 없음)
+            const promises = new Set(); // 이번 tick의 모든 실행에서 모은 Promise
+            const loopExecutor = [];
+            
+            const eventPolicy = parseExecuteEventPolicy(config.executeEventPolicy) || { type: 'every', interval: 1 };
+            const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
+            let executeEndDispatched = false;
+            const _executeEndEvent = board => {
+                if (eventPolicy.type === 'off' || (eventPolicy.type !== 'every' && executeEndDispatched)) {
+                    return;
+                }
+                executeEndDispatched = true;
+                Entry.dispatchEvent('blockExecuteEnd', board);
+            };
+            
+            // 일반 실행자들 처리
+            for (let i = 0; i < executors.length; i++) {
+                const executor = executors[i];
+                if (executor.isPause()) {
+                    continue;
+                } else if (!executor.isEnd()) {
+                    rememberStartBlock(executor);
+                    if (breakpoints.length > 0 && checkBlockBreakpoints(executor, 0)) {
+                        break;
+                    }
+                    if (shouldDispatchExecute(eventPolicy, executor)) {
+                        const { view } = executor.scope.block || {};
+                        _executeEvent(view);
+                    }
+                    result = runExecutor(executor);
+                    collectPromises(promises, executor, result);
+                    if (executor.isLooped) {
+                        loopExecutor.push(executor);
+                    }
+                    if (shouldNotifyWatch) {
+                        collectWatchBlocks(executedBlocks, result.blocks, config.watchBlockLimit);
+                    }
+                    if (breakpoints.length > 0 && checkConditionBreakpoints(executor, 0)) {
+                        break;
+                    }
+                } else if (executor.isEnd()) {
+                    _executeEndEvent(this.board);
+                    executors.splice(i--, 1);
+                    if (_.isEmpty(executors)) {
+                        this.executeEndEvent.notify();
+                    }
+                }
+            }
+            
+            // 반복문 실행자들 처리 (설정 가능한 제한)
+            if (Entry.isTurbo && loopExecutor.length > 0 && !debugState.breakHit) {
+                const quota = createLoopQuota(config, loopExecutor);
+                let sweepProgress = false; // 이번 바퀴에 실행되거나 끝난 실행자가 있는지
+                
+                for (let i = 0; i < loopExecutor.length; i++) {
+                    const executor = loopExecutor[i];
+                    if (isWaiting(executor)) {
+                        // 소리 재생, 기다리기 블록, 끝나지 않은 Promise 등으로 대기 중: 건너뛰되 바퀴 끝 검사는 거친다
+                    } else if (!executor.isEnd()) {
+                        // 가중치만큼 연달아 실행, 이번 프레임 몫을 다 쓴 실행자는 다음 프레임까지 쉰다
+                        let turns = takeSweepTurns(quota, executor);
+                        while (turns-- > 0 && canRunLoopTurn(quota, executor) &&
+                               !isWaiting(executor) && !executor.isEnd()) {
+                            if (breakpoints.length > 0 &&
+                                checkBlockBreakpoints(executor, quota.entries.get(executor).turns)) {
+                                break;
+                            }
+                            if (shouldDispatchExecute(eventPolicy, executor)) {
+                                const { view } = executor.scope.block || {};
+                                _executeEvent(view);
+                            }
+                            result = runExecutor(executor);
+                            collectPromises(promises, executor, result);
+                            useLoopQuota(quota, executor);
+                            frameState.iterations++;
+                            sweepProgress = true;
+                            
+                            if (shouldNotifyWatch) {
+                                collectWatchBlocks(executedBlocks, result.blocks, config.watchBlockLimit);
+                            }
+                            if (breakpoints.length > 0 &&
+                                checkConditionBreakpoints(executor, quota.entries.get(executor).turns)) {
+                                break;
+                            }
+                        }
+                    } else if (executor.isEnd()) {
+                        _executeEndEvent(this.board);
+                        loopExecutor.splice(i--, 1);
+                        sweepProgress = true;
+                        if (_.isEmpty(loopExecutor)) {
+                            this.executeEndEvent.notify();
+                        }
+                    }
+                    
+                    // 중단점에 걸리면 프레임 중간이라도 여기서 멈춘다
+                    if (debugState.breakHit) {
+                        break;
+                    }
+                    
+                    // 실행 횟수 / 시간 예산 제한 적용
+                    if (i === loopExecutor.length - 1) {
+                        if (isTickStalled(config, tickStart)) {
+                            // 폭주한 반복문: 이번 tick을 끊고 실행자를 멈춘다
+                            stallExecutors(this, loopExecutor, realNow() - tickStart);
+                            break;
+                        }
+                        if (!sweepProgress) {
+                            // 전부 대기 중: 더 돌아도 할 일이 없으므로 프레임을 넘긴다
+                            config.stats.idleSweepExits++;
+                            break;
+                        }
+                        if (shouldContinueLoop(config, quota, loopExecutor)) {
+                            sweepProgress = false;
+                            i = -1;
+                        } else {
+                            limitReached = loopExecutor.some(executor => !executor.isEnd());
+                        }
+                    }
+                    // 제한에 도달하면 이번 프레임은 종료
+                }
+                
+                recordLoopTurns(quota);
+            }
+            
+            this.isUpdateTime = 0;
+            if (shouldNotifyWatch) {
+                watchNotifiedFrames.set(this, frameState.start);
+                watchEvent.notify(Array.from(executedBlocks));
+            }
+            if (promises.size > 0 && patchPoints.addPromiseExecutor.action === 'apply') {
+                Entry.engine.addPromiseExecutor(Array.from(promises));
+            }
+            finishTickHooks(this, tick, limitReached);
+        };
+        
+        // 래핑 전략: 원본 tick에 시간 창을 주며 프레임 안에서 여러 번 부른다
+        tickStrategies.wrap = function() {
+            if (isTickSuspended()) {
+                return;
+            }
+            const config = window.EntryLimitConfig;
+            const originalTick = config.originalMethods.tick;
+            const tickStart = realNow();
+            beginFrame(this);
+            wrapState.frameBase = wrapState.loopExecutions - frameState.iterations;
+            const tick = startTickHooks(this, tickStart);
+            
+            // Entry 속도 조절에서 터보를 껐으면 원본 tick을 한 번만 부른다
+            if (!Entry.isTurbo) {
+                callOriginalTick(this, originalTick);
+                finishTickHooks(this, tick, false);
+                return;
+            }
+            
+            const savedTickTime = Entry.tickTime;
+            const savedTurbo = Entry.isTurbo;
+            const limit = sharedLoopLimit(config);
+            let iterations = 0;
+            let limitReached = false;
+            let calls = 0;
+            
+            try {
+                while (true) {
+                    const before = wrapState.loopExecutions;
+                    const callStart = performance.now();
+                    
+                    // 원본은 isUpdateTime부터 tickTime이 지날 때까지 반복 패스를 돈다
+                    const loopExecutors = this.executors.filter(executor => executor.isLooped);
+                    Entry.isTurbo = true;
+                    Entry.tickTime = wrapWindow(config, limit - iterations, tickStart, loopExecutors);
+                    this.isUpdateTime = callStart;
+                    callOriginalTick(this, originalTick, calls++ > 0);
+                    
+                    const ran = wrapState.loopExecutions - before;
+                    // 중단점에 걸렸으면 프레임 중간이라도 여기서 멈춘다
+                    if (debugState.breakHit) {
+                        iterations += ran;
+                        break;
+                    }
+                    // 반복이 많았던 호출일수록 1회당 시간 측정에 크게 반영된다
+                    wrapState.sampleTime = wrapState.sampleTime * 0.9 + (performance.now() - callStart);
+                    wrapState.sampleIterations = wrapState.sampleIterations * 0.9 + ran;
+                    iterations += ran;
+                    
+                    if (isTickStalled(config, tickStart)) {
+                        // 폭주한 반복문: 복사본 전략처럼 이번 tick을 끊고 실행자를 멈춘다
+                        stallExecutors(this, this.executors.filter(executor => executor.isLooped), realNow() - tickStart);
+                        break;
+                    }
+                    // 반복 실행자가 없거나 모두 대기 중이면 더 불러도 소용없다
+                    if (ran === 0) {
+                        break;
+                    }
+                    if (iterations >= limit || isWrapTimeUp(config, tickStart)) {
+                        limitReached = true;
+                        break;
+                    }
+                }
+            } finally {
+                Entry.tickTime = savedTickTime;
+                Entry.isTurbo = savedTurbo;
+                this.isUpdateTime = 0;
+                frameState.iterations += iterations;
+            }
+            finishTickHooks(this, tick, limitReached);
+        };
+        
+        if (!canCopyTick) {
+            window.EntryLimitConfig.tickStrategy = 'wrap';
+        }
+        Entry.Code.prototype.tick = tickStrategies[window.EntryLimitConfig.tickStrategy];
+        console.log('✓ Entry.Code.prototype.tick 오버라이드 완료 (전략:', window.EntryLimitConfig.tickStrategy + ')');
+        window.EntryLimitConfig.isActive = true;
+    } else {
+        console.error('❌ Entry.Code.prototype.tick을 패치할 수 없습니다:', patchPoints.codeTick.detail);
+        console.error('   EntryLimitConfig.diagnose() 로 호환성을 확인하세요.');
+    }
+    
+    // 4. 함수 호출 깊이 제한 (실제 깊이를 추적해 설정한 한도에서 멈춤)
+    // Entry 기본 한도(Entry.Executor.MAXIMUM_CALLSTACK)는 꺼 두고 maxCallDepth로 대신 검사한다.
+    // 한도를 넘으면 함수 블록 이름을 담은 CallDepthError를 던지고,
+    // Entry는 이를 일반 블록 오류처럼 받아 프로젝트를 멈춘다. (오류 격리가 켜져 있으면 그 실행자만 멈춘다)
+    class CallDepthError extends RangeError {
+        constructor(info, depth, limit) {
+            super('함수 "' + info.functionName + '" 호출 깊이가 제한(' + limit + ')을 넘었습니다. (깊이 ' + depth + ')');
+            this.name = 'CallDepthError';
+            this.functionId = info.functionId;
+            this.functionName = info.functionName;
+            this.blockId = info.blockId;
+            this.depth = depth;
+            this.limit = limit;
+        }
+    }
+    window.EntryLimitConfig.CallDepthError = CallDepthError;
+    
+    const callDepth = {
+        counter: 0,      // Entry가 직접 올리고 내리는 callStackLength 값
+        current: 0,      // 실행 중인 함수 실행자 수 (실제 깊이)
+        stack: [],       // 실행 중인 실행자 (안쪽이 마지막)
+        tracked: false   // Executor.execute 래핑 여부
+    };
+    
+    // 함수 호출 블록(func_<id>)에서 함수 이름을 찾는다
+    function describeFunctionBlock(block) {
+        const type = block && typeof block.type === 'string' ? block.type : '';
+        const functionId = type.indexOf('func_') === 0 ? type.substr(5) : null;
+        let functionName = functionId || '알 수 없는 함수';
+        if (functionId && Entry.variableContainer && Entry.variableContainer.getFunction) {
+            const func = Entry.variableContainer.getFunction(functionId);
+            if (func && (func.name || func.description)) {
+                functionName = func.name || func.description;
+            }
+        }
+        return {
+            functionId: functionId,
+            functionName: functionName,
+            blockId: block ? block.id : null
+        };
+    }
+    
+    // 가장 안쪽에서 실행 중인 블록이 방금 호출된 함수 블록이다
+    function createCallDepthError(depth) {
+        const executor = callDepth.stack[callDepth.stack.length - 1];
+        const block = executor && executor.scope ? executor.scope.block : null;
+        const error = new CallDepthError(describeFunctionBlock(block), depth, window.EntryLimitConfig.maxCallDepth);
+        window.EntryLimitConfig.stats.lastCallDepthError = error;
+        return error;
+    }
+    
+    // 크롬: RangeError "Maximum call stack size exceeded", 파이어폭스: "too much recursion"
+    function isNativeStackOverflow(error) {
+        if (!error || error instanceof CallDepthError) {
+            return false;
+        }
+        const message = String(error.message);
+        return message.indexOf('call stack') !== -1 || message.indexOf('too much recursion') !== -1;
+    }
+    
+    // 실행 오류 격리: tick이 부른 실행(execute(true)) 하나에서 오류가 나면 기록하고 그 실행자만 끝낸다.
+    // Entry는 블록 오류를 Entry.Utils.stopProjectWithToast로 넘겨 프로젝트 전체를 멈추므로,
+    // 격리하는 동안에는 이를 가로채 오류 블록만 기억하고 오류를 다시 던지게 한다.
+    const errorLog = {
+        entries: [],
+        limit: 100,          // 최근 오류만 보관
+        seq: 0,
+        depth: 0,            // 격리 중인 execute(true) 호출 수
+        failedBlock: null,   // stopProjectWithToast가 알려 준 오류 블록
+        handler: null        // onError 콜백
+    };
+    
+    function recordExecutorError(executor, block, error) {
+        const object = executor.entity && executor.entity.parent;
+        const entry = {
+            id: ++errorLog.seq,
+            frame: window.EntryLimitConfig.stats.frames,
+            name: (error && error.name) || 'Error',
+            message: error && error.message !== undefined ? String(error.message) : String(error),
+            stack: (error && error.stack) || null,
+            error: error,
+            objectId: object ? object.id : null,
+            objectName: object ? object.name : null,
+            blockId: block ? block.id : null,
+            blockType: block ? block.type : null,
+            executor: executor
+        };
+        errorLog.entries.push(entry);
+        if (errorLog.entries.length > errorLog.limit) {
+            errorLog.entries.shift();
+        }
+        console.warn('⚠️ 실행 오류로 실행자를 멈췄습니다:', (entry.objectName || '알 수 없는 오브젝트') + ',',
+            (entry.blockType || '알 수 없는 블록') + ' -', entry.message);
+        if (errorLog.handler) {
+            try {
+                errorLog.handler(entry);
+            } catch (e) {
+                console.error('❌ onError 콜백 오류:', e);
+            }
+        }
+        return entry;
+    }
+    
+    // 오류 블록: Entry가 알려 준 블록, 실행자가 멈춘 블록, 실행 전 블록 순서로 찾는다
+    function isolateExecutorError(executor, startBlock, error) {
+        const block = errorLog.failedBlock || (executor.scope && executor.scope.block) || startBlock;
+        errorLog.failedBlock = null;
+        recordExecutorError(executor, block, error);
+        if (typeof executor.end === 'function') {
+            executor.end();
+        }
+        return { promises: [], blocks: [] };
+    }
+    
+    if (Entry.Executor && Entry.Executor.prototype && Entry.Executor.prototype.execute) {
+        window.EntryLimitConfig.originalMethods.executorExecute = Entry.Executor.prototype.execute;
+        const originalExecute = Entry.Executor.prototype.execute;
+        
+        Entry.Executor.prototype.execute = function(isFromOrigin) {
+            const isFunction = !!this.isFuncExecutor;
+            const isolated = !!isFromOrigin && window.EntryLimitConfig.isolateErrors;
+            const startBlock = this.scope ? this.scope.block : null;
+            // 래핑 전략에서 원본 tick이 부른 실행은 여기서 중단점을 검사하고 기록한다
+            const observed = !!isFromOrigin && wrapState.calling;
+            if (observed && (debugState.breakHit ||
+                    (breakpoints.length > 0 && checkBlockBreakpoints(this, wrapIterations())))) {
+                // 중단점에 걸린 뒤로는 실행하지 않고, 시간 창을 닫아 원본이 이번 패스에서 나오게 한다
+                Entry.tickTime = 0;
+                return { promises: [], blocks: [] };
+            }
+            const observedStart = observed ? beginExecution(this, startBlock) : null;
+            if (isFunction) {
+                callDepth.current++;
+            }
+            if (isolated) {
+                errorLog.depth++;
+                errorLog.failedBlock = null;
+            }
+            callDepth.stack.push(this);
+            try {
+                const result = originalExecute.call(this, isFromOrigin);
+                // 래핑 전략이 원본 tick의 반복 횟수를 알 수 있도록 센다
+                if (isFromOrigin && this.isLooped) {
+                    wrapState.loopExecutions++;
+                }
+                if (observed && breakpoints.length > 0 && checkConditionBreakpoints(this, wrapIterations())) {
+                    Entry.tickTime = 0;
+                }
+                return result;
+            } catch (e) {
+                // 한도를 너무 높게 잡아 브라우저 스택이 먼저 넘친 경우도 같은 오류로 바꿔 준다
+                const error = isNativeStackOverflow(e) ? createCallDepthError(callDepth.current) : e;
+                if (isolated) {
+                    return isolateExecutorError(this, startBlock, error);
+                }
+                throw error;
+            } finally {
+                callDepth.stack.pop();
+                if (isFunction) {
+                    callDepth.current--;
+                }
+                if (isolated) {
+                    errorLog.depth--;
+                }
+                if (observed) {
+                    endExecution(this, startBlock, observedStart);
+                }
+            }
+        };
+        callDepth.tracked = true;
+    }
+    
+    if (Entry.Utils && typeof Entry.Utils.stopProjectWithToast === 'function') {
+        const originalStop = Entry.Utils.stopProjectWithToast;
+        window.EntryLimitConfig.originalMethods.stopProjectWithToast = originalStop;
+        Entry.Utils.stopProjectWithToast = function(scope, message, error) {
+            if (errorLog.depth > 0) {
+                errorLog.failedBlock = (scope && scope.block) || null;
+                throw error || new Error(message || '실행 오류');
+            }
+            return originalStop.apply(this, arguments);
+        };
+    }
+    
+    if (Entry.Executor && typeof Entry.Executor.MAXIMUM_CALLSTACK === 'number') {
+        window.EntryLimitConfig.originalMethods.maximumCallStack = Entry.Executor.MAXIMUM_CALLSTACK;
+        Entry.Executor.MAXIMUM_CALLSTACK = Infinity;
+    }
+    
+    // callStackLength에 대한 설정자/접근자 오버라이드
+    if (patchPoints.callStackLength.action === 'skip') {
+        console.warn('⚠️ callStackLength 오버라이드 건너뜀:', patchPoints.callStackLength.detail);
+    } else {
+        try {
+            callDepth.counter = Entry.callStackLength || 0;
+            Object.defineProperty(Entry, 'callStackLength', {
+                get: function() {
+                    return callDepth.counter;
+                },
+                set: function(value) {
+                    // 값이 커지면 함수 호출에 들어가는 것
+                    if (value > callDepth.counter) {
+                        const depth = callDepth.tracked ? callDepth.current + 1 : value;
+                        if (depth > window.EntryLimitConfig.maxCallDepth) {
+                            throw createCallDepthError(depth);
+                        }
+                    }
+                    callDepth.counter = value;
+                },
+                configurable: true
+            });
+            console.log('✓ 함수 호출 깊이 제한 설정 완료 (최대', window.EntryLimitConfig.maxCallDepth + ')');
+        } catch (e) {
+            console.warn('⚠️ callStackLength 오버라이드 실패:', e);
+        }
+    }
+    
+    // 설정 저장: 반복 제한 설정을 Entry 작품 id별로 localStorage에 남겨 두고,
+    // 같은 작품에 도구를 다시 설치하면 자동으로 되살린다.
+    // JSON에는 Infinity가 없으므로 'Infinity' 문자열로 바꿔 저장한다.
+    const SETTINGS_VERSION = 1;
+    const PERSISTED_SETTINGS = [
+        'loopExecutionsPerFrame',
+        'unlimitedMode',
+        'timeBudget',
+        'timeBudgetMaxIterations',
+        'loopRules',
+        'loopWeights',
+        'minTurnsPerFrame'
+    ];
+    const persistence = {
+        enabled: false,      // 설치가 끝난 뒤부터 설정을 바꿀 때마다 저장
+        lastError: null
+    };
+    
+    function projectKey() {
+        if (Entry.projectId) {
+            return String(Entry.projectId);
+        }
+        if (typeof location !== 'undefined' && location.pathname) {
+            return location.pathname;
+        }
+        return 'default';
+    }
+    
+    function settingsStorageKey() {
+        return 'EntryLimitConfig:' + projectKey();
+    }
+    
+    function encodeSetting(key, value) {
+        return value === Infinity ? 'Infinity' : value;
+    }
+    
+    function decodeSetting(key, value) {
+        return value === 'Infinity' ? Infinity : value;
+    }
+    
+    function snapshotSettings(config) {
+        const settings = {};
+        PERSISTED_SETTINGS.forEach(key => {
+            settings[key] = config[key];
+        });
+        return JSON.stringify({ version: SETTINGS_VERSION, settings: settings }, encodeSetting);
+    }
+    
+    // 값 검사는 통합 설정 스키마(CONFIG_SCHEMA)의 규칙을 그대로 쓴다
+    function isSettingMap(key, value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            Object.keys(value).every(name => isAllowedSetting(key, value[name]));
+    }
+    
+    const SETTING_CHECKS = {
+        loopExecutionsPerFrame: value => isAllowedSetting('loopLimit', value),
+        unlimitedMode: value => isAllowedSetting('unlimited', value),
+        timeBudget: value => isAllowedSetting('timeBudget', value),
+        timeBudgetMaxIterations: value => isAllowedSetting('timeBudgetMaxIterations', value),
+        loopRules: value => isSettingMap('loopRule', value),
+        loopWeights: value => isSettingMap('loopWeight', value),
+        minTurnsPerFrame: value => isAllowedSetting('minTurns', value)
+    };
+    
+    // 알 수 없는 항목은 무시하고, 값이 잘못된 항목이 있으면 아무것도 바꾸지 않는다
+    function parseSettings(json) {
+        const data = typeof json === 'string' ? JSON.parse(json, decodeSetting) : JSON.parse(JSON.stringify(json, encodeSetting), decodeSetting);
+        const settings = data && data.settings ? data.settings : data;
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('설정 객체가 없습니다.');
+        }
+        const parsed = {};
+        PERSISTED_SETTINGS.forEach(key => {
+            if (settings[key] === undefined) {
+                return;
+            }
+            if (!SETTING_CHECKS[key](settings[key])) {
+                throw new Error(key + ' 값이 잘못되었습니다: ' + JSON.stringify(settings[key], encodeSetting));
+            }
+            parsed[key] = settings[key];
+        });
+        return parsed;
+    }
+    
+    function persistSettings(config) {
+        if (!persistence.enabled) {
+            return;
+        }
+        try {
+            localStorage.setItem(settingsStorageKey(), snapshotSettings(config));
+            persistence.lastError = null;
+        } catch (e) {
+            persistence.lastError = e;
+            console.warn('⚠️ 설정을 저장하지 못했습니다:', e.message);
+        }
+    }
+    
+    // 저장된 설정이 있으면 적용하고 true
+    function restoreSettings(config) {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(settingsStorageKey());
+        } catch (e) {
+            persistence.lastError = e;
+            return false;
+        }
+        if (saved === null) {
+            return false;
+        }
+        try {
+            Object.assign(config, parseSettings(saved));
+        } catch (e) {
+            persistence.lastError = e;
+            console.warn('⚠️ 저장된 설정을 읽지 못했습니다:', e.message);
+            return false;
+        }
+        return true;
+    }
+    
+    // 제어 패널: 스테이지 옆에 띄우는 작은 창 (제목 줄을 끌어 옮기고 접을 수 있다).
+    // 패널은 공개 설정 함수만 부르고, 0.25초마다 EntryLimitConfig를 다시 읽어
+    // 콘솔에서 바꾼 설정도 그대로 보여 준다.
+    const PANEL_SLIDER_MAX = 60; // 슬라이더 값 v → 10^(v/10)회 (1 ~ 1,000,000회)
+    const panelTimers = { setInterval: window.setInterval, clearInterval: window.clearInterval }; // 시간 배율, 빨리 감기와 무관하게
+    const panel = {
+        root: null,
+        body: null,
+        slider: null,
+        limitLabel: null,
+        unlimited: null,
+        readout: null,
+        collapseButton: null,
+        collapsed: false,
+        sliding: false,     // 슬라이더를 끄는 중에는 설정값으로 되돌리지 않는다
+        timer: null,
+        drag: null
+    };
+    
+    function sliderToLimit(value) {
+        return Math.round(Number(Math.pow(10, value / 10).toPrecision(2)));
+    }
+    
+    function limitToSlider(limit) {
+        return Math.min(PANEL_SLIDER_MAX, Math.max(0, Math.round(Math.log10(Math.max(1, limit)) * 10)));
+    }
+    
+    function formatCount(count) {
+        return Math.round(count).toLocaleString();
+    }
+    
+    function panelElement(tag, style, text) {
+        const element = document.createElement(tag);
+        element.style.cssText = style;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+    
+    // 스테이지 캔버스 (createjs 또는 PIXI)
+    function findStageElement() {
+        const stage = Entry.stage;
+        if (stage && stage.canvas && stage.canvas.canvas) {
+            return stage.canvas.canvas;
+        }
+        if (stage && stage._app && stage._app.view) {
+            return stage._app.view;
+        }
+        return document.getElementById ? document.getElementById('entryCanvas') : null;
+    }
+    
+    // 스테이지 오른쪽에 붙이고, 자리가 없으면 화면 오른쪽 위에 둔다
+    function placePanel() {
+        const stage = findStageElement();
+        const width = 220;
+        let left = window.innerWidth - width - 16;
+        let top = 16;
+        if (stage && stage.getBoundingClientRect) {
+            const rect = stage.getBoundingClientRect();
+            if (rect.width > 0) {
+                left = Math.min(rect.right + 8, window.innerWidth - width - 8);
+                top = Math.max(8, rect.top);
+            }
+        }
+        panel.root.style.left = Math.max(0, left) + 'px';
+        panel.root.style.top = top + 'px';
+    }
+    
+    function startPanelDrag(event) {
+        if (event.target === panel.collapseButton) {
+            return;
+        }
+        const rect = panel.root.getBoundingClientRect();
+        panel.drag = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        document.addEventListener('mousemove', movePanelDrag);
+        document.addEventListener('mouseup', endPanelDrag);
+        event.preventDefault();
+    }
+    
+    function movePanelDrag(event) {
+        if (!panel.drag) {
+            return;
+        }
+        panel.root.style.left = Math.max(0, event.clientX - panel.drag.x) + 'px';
+        panel.root.style.top = Math.max(0, event.clientY - panel.drag.y) + 'px';
+    }
+    
+    function endPanelDrag() {
+        panel.drag = null;
+        document.removeEventListener('mousemove', movePanelDrag);
+        document.removeEventListener('mouseup', endPanelDrag);
+    }
+    
+    function setPanelCollapsed(collapsed) {
+        panel.collapsed = collapsed;
+        panel.body.style.display = collapsed ? 'none' : 'block';
+        panel.collapseButton.textContent = collapsed ? '+' : '−';
+    }
+    
+    function createPanel() {
+        const config = window.EntryLimitConfig;
+        const root = panelElement('div', 'position:fixed;z-index:10000;width:220px;font:12px sans-serif;color:#333;' +
+            'background:#fff;border:1px solid #c8d2e6;border-radius:8px;box-shadow:0 2px 8px rgba(0,0,0,.2);user-select:none;');
+        root.id = 'entry-limit-panel';
+        
+        const header = panelElement('div', 'display:flex;justify-content:space-between;align-items:center;padding:6px 8px;' +
+            'cursor:move;background:#4f80ff;color:#fff;border-radius:7px 7px 0 0;font-weight:bold;', '⚡ 반복 실행 제한');
+        const collapseButton = panelElement('button', 'border:none;background:transparent;color:#fff;font-size:14px;cursor:pointer;padding:0 4px;', '−');
+        collapseButton.title = '접기/펴기';
+        collapseButton.addEventListener('click', () => setPanelCollapsed(!panel.collapsed));
+        header.appendChild(collapseButton);
+        header.addEventListener('mousedown', startPanelDrag);
+        
+        const body = panelElement('div', 'padding:8px;');
+        const limitRow = panelElement('div', 'display:flex;justify-content:space-between;margin-bottom:4px;');
+        const limitLabel = panelElement('span', 'font-weight:bold;');
+        limitRow.appendChild(panelElement('span', '', '프레임당 반복'));
+        limitRow.appendChild(limitLabel);
+        
+        const slider = panelElement('input', 'width:100%;margin:0 0 6px;');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = String(PANEL_SLIDER_MAX);
+        slider.step = '1';
+        // 끄는 동안에는 숫자만 바꾸고, 놓을 때 한 번 적용한다
+        slider.addEventListener('input', () => {
+            panel.sliding = true;
+            limitLabel.textContent = formatCount(sliderToLimit(Number(slider.value))) + '회';
+        });
+        slider.addEventListener('change', () => {
+            panel.sliding = false;
+            config.setLoopLimit(sliderToLimit(Number(slider.value)));
+            refreshPanel();
+        });
+        
+        const unlimitedRow = panelElement('label', 'display:flex;align-items:center;gap:4px;margin-bottom:6px;cursor:pointer;');
+        const unlimited = panelElement('input', '');
+        unlimited.type = 'checkbox';
+        unlimited.addEventListener('change', () => {
+            if (unlimited.checked) {
+                config.setUnlimitedMode(true);
+            } else {
+                // 무제한을 끄면 슬라이더 위치의 횟수로 돌아간다
+                config.setUnlimitedMode(false);
+                config.setLoopLimit(sliderToLimit(Number(slider.value)));
+            }
+            refreshPanel();
+        });
+        unlimitedRow.appendChild(unlimited);
+        unlimitedRow.appendChild(panelElement('span', '', '무제한'));
+        
+        const readout = panelElement('div', 'padding:4px 6px;margin-bottom:6px;background:#f2f5fb;border-radius:4px;' +
+            'font-family:monospace;white-space:pre;');
+        
+        const resetButton = panelElement('button', 'width:100%;padding:4px;border:1px solid #c8d2e6;border-radius:4px;background:#fff;cursor:pointer;', '초기화');
+        resetButton.title = 'resetEntryLimits()와 같습니다';
+        resetButton.addEventListener('click', () => {
+            config.reset();
+        });
+        
+        body.appendChild(limitRow);
+        body.appendChild(slider);
+        body.appendChild(unlimitedRow);
+        body.appendChild(readout);
+        body.appendChild(resetButton);
+        root.appendChild(header);
+        root.appendChild(body);
+        
+        Object.assign(panel, {
+            root: root,
+            body: body,
+            slider: slider,
+            limitLabel: limitLabel,
+            unlimited: unlimited,
+            readout: readout,
+            collapseButton: collapseButton
+        });
+        setPanelCollapsed(panel.collapsed);
+    }
+    
+    function refreshPanel() {
+        refreshSpeedControl();
+        if (!panel.root) {
+            return;
+        }
+        const config = window.EntryLimitConfig;
+        const unlimited = config.unlimitedMode || config.loopExecutionsPerFrame === Infinity;
+        panel.unlimited.checked = unlimited;
+        panel.slider.disabled = unlimited;
+        if (!panel.sliding) {
+            if (!unlimited) {
+                panel.slider.value = String(limitToSlider(config.loopExecutionsPerFrame));
+            }
+            if (config.timeBudget !== null) {
+                panel.limitLabel.textContent = '시간 예산 ' + config.timeBudget + 'ms';
+            } else {
+                panel.limitLabel.textContent = unlimited ? '무제한' : formatCount(config.loopExecutionsPerFrame) + '회';
+            }
+        }
+        panel.readout.textContent = '지난 프레임 ' + formatCount(config.stats.lastFrameIterations) + '회\n평균 ' +
+            formatCount(config.stats.averageIterations) + '회';
+    }
+    
+    function showPanel() {
+        if (!panel.root) {
+            createPanel();
+            document.body.appendChild(panel.root);
+            placePanel();
+        }
+        panel.root.style.display = 'block';
+        refreshPanel();
+        if (panel.timer === null) {
+            panel.timer = panelTimers.setInterval.call(window, refreshPanel, 250);
+        }
+    }
+    
+    function hidePanel() {
+        if (panel.timer !== null) {
+            panelTimers.clearInterval.call(window, panel.timer);
+            panel.timer = null;
+        }
+        if (panel.root) {
+            panel.root.style.display = 'none';
+        }
+    }
+    
+    // Entry 속도 조절과 연동: Entry의 속도 단계(FPS) 뒤에 터보 단계를 덧붙인다.
+    // 터보 단계는 가장 빠른 속도에서 Entry.isTurbo를 켜고 프레임당 반복 횟수를 정하며,
+    // Entry 속도 단계를 고르면 터보를 끈다. 지금 단계는 따로 저장하지 않고
+    // Entry.isTurbo와 반복 설정에서 매번 읽으므로 콘솔, 제어 패널, Entry 화면이 어긋나지 않는다.
+    const TURBO_LEVELS = [
+        { id: 'x1', label: '터보', limit: 1000 },
+        { id: 'x10', label: 'x10', limit: 10000 },
+        { id: 'x100', label: 'x100', limit: 100000 },
+        { id: 'unlimited', label: '∞', limit: Infinity }
+    ];
+    const speedControl = {
+        cells: [],         // Entry 속도 패널에 덧붙인 칸
+        savedFPS: null,    // 터보 단계로 바꾸기 전의 Entry.FPS
+        internal: false    // 도구가 부른 setSpeedMeter인지 (사용자가 고른 속도와 구분)
+    };
+    
+    // 'off': 터보 꺼짐, 'custom': 단계에 없는 반복 설정 (시간 예산 포함)
+    function currentTurboLevel(config) {
+        if (!Entry.isTurbo) {
+            return 'off';
+        }
+        if (config.timeBudget !== null) {
+            return 'custom';
+        }
+        const limit = config.unlimitedMode ? Infinity : config.loopExecutionsPerFrame;
+        const level = TURBO_LEVELS.find(item => item.limit === limit);
+        return level ? level.id : 'custom';
+    }
+    
+    function fastestSpeed() {
+        const speeds = Entry.engine && Entry.engine.speeds;
+        return Array.isArray(speeds) && speeds.length > 0 ? Math.max.apply(null, speeds) : null;
+    }
+    
+    function setEngineSpeed(fps) {
+        speedControl.internal = true;
+        try {
+            Entry.engine.setSpeedMeter(fps);
+        } finally {
+            speedControl.internal = false;
+        }
+    }
+    
+    function refreshSpeedControl() {
+        const level = currentTurboLevel(window.EntryLimitConfig);
+        speedControl.cells.forEach(cell => {
+            const active = cell.getAttribute('data-turbo-level') === level;
+            cell.style.background = active ? '#4f80ff' : '';
+            cell.style.color = active ? '#fff' : '';
+        });
+    }
+    
+    // Entry 속도 패널(speedProgress_ 표)의 단계 줄 끝에 터보 단계 칸을 붙인다
+    function addTurboCells(engine) {
+        const table = engine.speedProgress_;
+        const row = table && table.querySelector ? table.querySelector('tr') : null;
+        if (!row) {
+            return;
+        }
+        speedControl.cells = TURBO_LEVELS.map(level => {
+            const cell = document.createElement('td');
+            cell.setAttribute('data-turbo-level', level.id);
+            cell.textContent = level.label;
+            cell.title = level.limit === Infinity ? '터보: 반복 무제한' : '터보: 프레임당 반복 ' + formatCount(level.limit) + '회';
+            cell.style.cssText = 'cursor:pointer;text-align:center;font-size:10px;font-weight:bold;';
+            cell.addEventListener('click', () => window.EntryLimitConfig.setTurboLevel(level.id));
+            row.appendChild(cell);
+            return cell;
+        });
+        refreshSpeedControl();
+    }
+    
+    function removeTurboCells() {
+        speedControl.cells.forEach(cell => {
+            if (cell.parentNode) {
+                cell.parentNode.removeChild(cell);
+            }
+        });
+        speedControl.cells = [];
+    }
+    
+    if (patchPoints.speedControl.action === 'apply') {
+        const engine = Entry.engine;
+        const originalSetSpeedMeter = engine.setSpeedMeter;
+        const originalToggleSpeedPanel = engine.toggleSpeedPanel;
+        window.EntryLimitConfig.originalMethods.setSpeedMeter = originalSetSpeedMeter;
+        window.EntryLimitConfig.originalMethods.toggleSpeedPanel = originalToggleSpeedPanel;
+        
+        engine.setSpeedMeter = function() {
+            const result = originalSetSpeedMeter.apply(this, arguments);
+            // 사용자가 Entry 속도 단계를 고르면 터보 단계에서 빠져나온다
+            if (!speedControl.internal && Entry.isTurbo) {
+                trackSettingChanges(() => {
+                    Entry.isTurbo = false;
+                });
+                speedControl.savedFPS = null;
+                console.log('✓ Entry 속도 단계 선택: 터보 꺼짐 (FPS ' + Entry.FPS + ')');
+            }
+            // setSpeedMeter는 엔진 루프를 FPS 간격으로 다시 걸므로 시간 배율을 다시 적용한다
+            if (timeScale.scale !== 1) {
+                restartEngineTicker();
+            }
+            refreshSpeedControl();
+            return result;
+        };
+        
+        // 패널을 열 때 원본이 부르는 setSpeedMeter(Entry.FPS)는 사용자 선택이 아니다
+        engine.toggleSpeedPanel = function() {
+            removeTurboCells();
+            speedControl.internal = true;
+            let result;
+            try {
+                result = originalToggleSpeedPanel.apply(this, arguments);
+            } finally {
+                speedControl.internal = false;
+            }
+            if (this.speedPanelOn) {
+                addTurboCells(this);
+            }
+            return result;
+        };
+        
+        if (engine.speedPanelOn) {
+            addTurboCells(engine);
+        }
+        console.log('✓ Entry 속도 조절에 터보 단계 추가:', TURBO_LEVELS.map(level => level.label).join(', '));
+    } else {
+        console.warn('⚠️ Entry 속도 조절 연동 건너뜀:', patchPoints.speedControl.detail);
+    }
+    
+    // 통합 설정 스키마: 반복문 도구(best.js, great.js, good.js)가 같은 이름과 같은 규칙으로 쓰는 설정.
+    // read가 있는 항목은 EntryConfig.get/set으로 다루고, method는 그 값을 바꾸는 설정 함수다.
+    // 설정 함수를 직접 불러도 argument번째 인자(기본 0)를 같은 규칙으로 검사한다.
+    //   count: min 이상의 정수 (infinity면 Infinity도), number: min 이상의 유한한 숫자,
+    //   positive: 0보다 큰 유한한 숫자, boolean, enum: values 중 하나, check: 직접 검사 (expects에 설명)
+    //   nullable: null과 생략도 허용, optional: 생략 허용
+    const CONFIG_SCHEMA = {
+        loopLimit: {
+            type: 'count', min: 0, infinity: true, method: 'setLoopLimit',
+            read: config => config.loopExecutionsPerFrame, description: '프레임당 반복 실행 횟수'
+        },
+        unlimited: {
+            type: 'boolean', method: 'setUnlimitedMode',
+            read: config => config.unlimitedMode, description: '완전 무제한 모드'
+        },
+        timeBudget: {
+            type: 'positive', nullable: true, method: 'setTimeBudget',
+            read: config => config.timeBudget, description: '프레임당 반복 시간 예산 (ms, null이면 횟수 기준)'
+        },
+        timeBudgetMaxIterations: {
+            type: 'count', min: 1, infinity: true, optional: true, method: 'setTimeBudget', argument: 1,
+            description: '시간 예산 모드의 보조 횟수 제한'
+        },
+        loopRule: {
+            type: 'count', min: 0, infinity: true, method: 'setLoopLimitFor', argument: 1,
+            description: '오브젝트/블록별 프레임당 반복 횟수'
+        },
+        loopWeight: {
+            type: 'number', min: 0, method: 'setLoopWeightFor', argument: 1,
+            description: '스케줄링 가중치'
+        },
+        minTurns: {
+            type: 'count', min: 0, method: 'setMinTurns',
+            read: config => config.minTurnsPerFrame, description: '실행자마다 프레임당 보장하는 최소 반복 횟수'
+        },
+        watchdog: {
+            type: 'positive', nullable: true, method: 'setWatchdog',
+            read: config => config.watchdogMs, description: '한 tick에 허용할 최대 시간 (ms, null이면 사용 안 함)'
+        },
+        maxCallDepth: {
+            type: 'count', min: 1, infinity: true, method: 'setMaxCallDepth',
+            read: config => config.maxCallDepth, description: '함수 호출 최대 깊이'
+        },
+        isolateErrors: {
+            type: 'boolean', method: 'setErrorIsolation',
+            read: config => config.isolateErrors, description: '실행 오류가 난 실행자만 멈추고 기록'
+        },
+        watchBlockLimit: {
+            type: 'count', min: 0, infinity: true, method: 'setWatchBlockLimit',
+            read: config => config.watchBlockLimit, description: '프레임당 감시 알림에 담을 최대 블록 수'
+        },
+        muteWatch: {
+            type: 'boolean', method: 'setWatchMuted',
+            read: config => config.muteWatchInTurbo, description: '터보 모드 동안 감시 알림 끄기'
+        },
+        executeEventPolicy: {
+            type: 'check', check: value => parseExecuteEventPolicy(value) !== null,
+            expects: "'every', 'first-per-frame', 'sampled(n)', 'off' 중 하나", method: 'setExecuteEventPolicy',
+            read: config => config.executeEventPolicy, description: '블록 실행 알림 정책'
+        },
+        tickStrategy: {
+            type: 'enum', values: ['copy', 'wrap'], method: 'setTickStrategy',
+            read: config => config.tickStrategy, description: 'tick 전략'
+        },
+        timeScale: {
+            type: 'positive', method: 'setTimeScale',
+            read: () => timeScale.scale, description: '프로젝트 시간 배율'
+        },
+        turboLevel: {
+            type: 'enum', values: ['off'].concat(TURBO_LEVELS.map(level => level.id)), method: 'setTurboLevel',
+            read: config => currentTurboLevel(config), description: '터보 단계 (Entry 속도 조절과 같음)'
+        }
+    };
+    
+    class ConfigError extends TypeError {
+        constructor(key, value, message) {
+            super(message);
+            this.name = 'ConfigError';
+            this.key = key;
+            this.value = value;
+        }
+    }
+    window.EntryLimitConfig.ConfigError = ConfigError;
+    
+    const configChanges = {
+        listeners: [],   // onChange 콜백
+        depth: 0         // 설정 함수가 다른 설정 함수를 부르면 가장 바깥 호출이 끝날 때 한 번만 알린다
+    };
+    
+    // get/set으로 다루는 설정 이름 (인자 검사에만 쓰는 항목은 빠진다)
+    function settingKeys() {
+        return Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].read);
+    }
+    
+    function formatSettingValue(value) {
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+    
+    function describeRule(rule) {
+        let text;
+        if (rule.type === 'count') {
+            text = rule.min + ' 이상의 정수' + (rule.infinity ? ' 또는 Infinity' : '');
+        } else if (rule.type === 'number') {
+            text = rule.min + ' 이상의 숫자';
+        } else if (rule.type === 'positive') {
+            text = '0보다 큰 숫자';
+        } else if (rule.type === 'boolean') {
+            text = 'true 또는 false';
+        } else if (rule.type === 'enum') {
+            text = rule.values.map(formatSettingValue).join(', ') + ' 중 하나';
+        } else {
+            text = rule.expects;
+        }
+        return rule.nullable ? text + ' 또는 null' : text;
+    }
+    
+    function matchesRule(rule, value) {
+        if (value === undefined && (rule.optional || rule.nullable)) {
+            return true;
+        }
+        if (value === null && rule.nullable) {
+            return true;
+        }
+        if (rule.type === 'count') {
+            return typeof value === 'number' &&
+                (value === Infinity ? !!rule.infinity : Number.isInteger(value) && value >= rule.min);
+        }
+        if (rule.type === 'number') {
+            return typeof value === 'number' && isFinite(value) && value >= rule.min;
+        }
+        if (rule.type === 'positive') {
+            return typeof value === 'number' && isFinite(value) && value > 0;
+        }
+        if (rule.type === 'boolean') {
+            return typeof value === 'boolean';
+        }
+        if (rule.type === 'enum') {
+            return rule.values.indexOf(value) !== -1;
+        }
+        return rule.check(value);
+    }
+    
+    function isAllowedSetting(key, value) {
+        return matchesRule(CONFIG_SCHEMA[key], value);
+    }
+    
+    // 잘못된 값이면 무엇을 받을 수 있는지 담아 ConfigError를 던진다
+    function checkSetting(key, value) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!matchesRule(rule, value)) {
+            throw new ConfigError(key, value,
+                key + ' 값이 잘못되었습니다: ' + formatSettingValue(value) + ' (' + describeRule(rule) + '만 가능)');
+        }
+    }
+    
+    function settingRule(key) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule || !rule.read) {
+            throw new ConfigError(key, undefined, '알 수 없는 설정입니다: ' + formatSettingValue(key) +
+                ' (' + settingKeys().join(', ') + ')');
+        }
+        return rule;
+    }
+    
+    function readSettings() {
+        const values = {};
+        settingKeys().forEach(key => {
+            values[key] = CONFIG_SCHEMA[key].read(window.EntryLimitConfig);
+        });
+        return values;
+    }
+    
+    // run 전후의 설정을 비교해 바뀐 항목마다 onChange 콜백을 부른다 (콜백 오류는 경고만)
+    function trackSettingChanges(run) {
+        const before = configChanges.depth === 0 ? readSettings() : null;
+        configChanges.depth++;
+        try {
+            return run();
+        } finally {
+            configChanges.depth--;
+            if (before) {
+                const after = readSettings();
+                Object.keys(after).filter(key => after[key] !== before[key]).forEach(key => {
+                    const change = { key: key, value: after[key], previous: before[key] };
+                    configChanges.listeners.slice().forEach(listener => {
+                        try {
+                            listener(change);
+                        } catch (e) {
+                            console.warn('⚠️ 설정 변경 알림 처리 중 오류:', e);
+                        }
+                    });
+                });
+            }
+        }
+    }
+    
+    // 래핑 전략에서는 원본 tick이 실행 순서와 감시, 블록 실행 알림을 맡으므로 아래 설정이 쓰이지 않는다.
+    // 빨리 감기처럼 복사본 전략 전용이라, 래핑 전략에서 바꾸면 경고하고 status()에도 표시한다.
+    const COPY_ONLY_SETTINGS = {
+        loopRules: '개별 반복 횟수 규칙',
+        loopWeights: '스케줄링 가중치',
+        minTurnsPerFrame: '최소 보장 반복 횟수',
+        executeEventPolicy: '블록 실행 알림 정책',
+        muteWatchInTurbo: '터보 중 감시 알림 끄기',
+        watchBlockLimit: '감시 알림 블록 수 제한'
+    };
+    
+    function copyOnlyLabels() {
+        return Object.keys(COPY_ONLY_SETTINGS).map(key => COPY_ONLY_SETTINGS[key]).join(', ');
+    }
+    
+    function warnCopyOnly(config, key) {
+        if (config.tickStrategy === 'wrap') {
+            console.warn('⚠️ 복사본 전략(copy)에서만 적용되는 설정입니다:', COPY_ONLY_SETTINGS[key], '(지금 전략: wrap)');
+        }
+    }
+    
+    // 5. 설정 변경 함수들
+    window.EntryLimitConfig.setLoopLimit = function(count) {
+        this.loopExecutionsPerFrame = count;
+        console.log('✓ 반복 실행 횟수 설정:', count === Infinity ? '무제한' : count + '회');
+        persistSettings(this);
+        return this;
+    };
+    
+    // target: 오브젝트 id, 오브젝트 이름, 스크립트 시작 블록 id (또는 id를 가진 객체)
+    window.EntryLimitConfig.setLoopLimitFor = function(target, count) {
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        this.loopRules[key] = count;
+        warnCopyOnly(this, 'loopRules');
+        console.log('✓ 개별 반복 횟수 설정:', key, '→', count === Infinity ? '무제한' : count + '회');
+        persistSettings(this);
+        return this;
+    };
+    
+    // 가중치가 클수록 한 바퀴에 더 많이, 공용 한도도 더 많이 가져간다
+    window.EntryLimitConfig.setLoopWeightFor = function(target, weight) {
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        this.loopWeights[key] = weight;
+        warnCopyOnly(this, 'loopWeights');
+        console.log('✓ 스케줄링 가중치 설정:', key, '→', weight);
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.clearLoopWeightFor = function(target) {
+        if (target === undefined) {
+            this.loopWeights = {};
+            console.log('✓ 스케줄링 가중치 모두 삭제');
+            persistSettings(this);
+            return this;
+        }
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        delete this.loopWeights[key];
+        console.log('✓ 스케줄링 가중치 삭제:', key);
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setMinTurns = function(count) {
+        this.minTurnsPerFrame = count;
+        warnCopyOnly(this, 'minTurnsPerFrame');
+        console.log('✓ 실행자별 최소 보장 반복 횟수:', count + '회');
+        persistSettings(this);
+        return this;
+    };
+    
+    // 지난 프레임에 많이 돈 순서로 정렬한 실행자별 사용량
+    window.EntryLimitConfig.getExecutorStats = function() {
+        return Array.from(executorStats.values())
+            .map(stats => Object.assign({}, stats))
+            .sort((a, b) => b.lastTurns - a.lastTurns);
+    };
+    
+    // target을 생략하면 모든 개별 규칙을 지운다
+    window.EntryLimitConfig.clearLoopLimitFor = function(target) {
+        if (target === undefined) {
+            this.loopRules = {};
+            console.log('✓ 개별 반복 횟수 규칙 모두 삭제');
+            persistSettings(this);
+            return this;
+        }
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        delete this.loopRules[key];
+        console.log('✓ 개별 반복 횟수 규칙 삭제:', key);
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setUnlimitedMode = function(enabled) {
+        this.unlimitedMode = enabled;
+        if (enabled) {
+            this.loopExecutionsPerFrame = Infinity;
+            console.log('✓ 완전 무제한 모드 활성화');
+        } else {
+            console.log('✓ 제한 모드로 변경');
+        }
+        persistSettings(this);
+        return this;
+    };
+    
+    // ms: 프레임당 사용할 시간 (null이면 해제), maxIterations: 보조 횟수 제한
+    window.EntryLimitConfig.setTimeBudget = function(ms, maxIterations) {
+        if (ms === null || ms === undefined) {
+            this.timeBudget = null;
+            this.timeBudgetMaxIterations = Infinity;
+            console.log('✓ 시간 예산 모드 해제 (횟수 기준으로 복귀)');
+            persistSettings(this);
+            return this;
+        }
+        
+        this.timeBudget = ms;
+        this.timeBudgetMaxIterations = maxIterations === undefined ? Infinity : maxIterations;
+        console.log('✓ 시간 예산 설정: 프레임당', ms + 'ms',
+            this.timeBudgetMaxIterations === Infinity ? '' : '(최대 ' + this.timeBudgetMaxIterations + '회)');
+        persistSettings(this);
+        return this;
+    };
+    
+    // ms: 한 tick에 허용할 최대 시간 (null이면 워치독 해제)
+    window.EntryLimitConfig.setWatchdog = function(ms) {
+        this.watchdogMs = ms === undefined ? null : ms;
+        console.log('✓ 워치독 설정:', this.watchdogMs === null ? '사용 안 함' : this.watchdogMs + 'ms');
+        return this;
     };
     
-    // 1. Entry.isTurbo 강제 활성화
-    Entry.isTurbo = true;
-    console.log('✓ Entry.isTurbo = true 설정 완료');
+    window.EntryLimitConfig.getStalledExecutors = function() {
+        return stalledExecutors.map(entry => ({
+            id: entry.id,
+            objectId: entry.objectId,
+            objectName: entry.objectName,
+            blockId: entry.blockId,
+            elapsed: entry.elapsed,
+            executor: entry.executor
+        }));
+    };
     
-    // 2. Entry.tickTime 조정 (더 긴 시간으로 설정)
-    Entry.tickTime = 999999; // 매우 큰 값으로 설정
-    console.log('✓ Entry.tickTime =', Entry.tickTime, 'ms로 설정');
+    // id: getStalledExecutors()의 id 또는 실행자 객체
+    window.EntryLimitConfig.resumeExecutor = function(id) {
+        const entry = takeStalled(id);
+        if (!entry) {
+            console.warn('⚠️ 멈춘 실행자를 찾을 수 없습니다:', id);
+            return false;
+        }
+        if (!entry.executor.isEnd()) {
+            entry.code.executors.push(entry.executor);
+        }
+        console.log('✓ 실행자 #' + entry.id, '재개');
+        return true;
+    };
     
-    // 3. Code.prototype.tick 메서드 직접 오버라이드
-    if (Entry.Code && Entry.Code.prototype && Entry.Code.prototype.tick) {
-        // 원본 메서드 백업
-        window.EntryLimitConfig.originalMethods.tick = Entry.Code.prototype.tick;
+    window.EntryLimitConfig.killExecutor = function(id) {
+        const entry = takeStalled(id);
+        if (!entry) {
+            console.warn('⚠️ 멈춘 실행자를 찾을 수 없습니다:', id);
+            return false;
+        }
+        entry.executor.end();
+        console.log('✓ 실행자 #' + entry.id, '종료');
+        return true;
+    };
+    
+    window.EntryLimitConfig.setMaxCallDepth = function(depth) {
+        this.maxCallDepth = depth;
+        console.log('✓ 함수 호출 최대 깊이 설정:', depth === Infinity ? '무제한' : depth);
+        return this;
+    };
+    
+    // 끄면 Entry 기본 동작대로 오류가 난 블록에서 프로젝트 전체가 멈춘다
+    window.EntryLimitConfig.setErrorIsolation = function(enabled) {
+        this.isolateErrors = !!enabled;
+        console.log('✓ 실행 오류 격리:', this.isolateErrors ? '켜짐' : '꺼짐');
+        return this;
+    };
+    
+    // 격리한 실행 오류 (오래된 것부터, 최근 100개)
+    window.EntryLimitConfig.getErrors = function() {
+        return errorLog.entries.slice();
+    };
+    
+    window.EntryLimitConfig.clearErrors = function() {
+        errorLog.entries = [];
+        console.log('✓ 실행 오류 기록 삭제');
+        return this;
+    };
+    
+    // callback(entry): 오류를 격리할 때마다 호출 (null이면 해제)
+    window.EntryLimitConfig.onError = function(callback) {
+        errorLog.handler = typeof callback === 'function' ? callback : null;
+        return this;
+    };
+    
+    // 수명 주기 훅: on<이름>(callback)으로 등록하고 offHook(callback)으로 뺀다
+    const HOOK_METHODS = {
+        onTickStart: 'tickStart',       // callback(): 패치한 tick이 시작할 때
+        onTickEnd: 'tickEnd',           // callback(stats): tick이 끝날 때 (반복 횟수, 걸린 시간, 한도 등)
+        onLimitReached: 'limitReached', // callback(stats): 반복 한도(횟수 또는 시간 예산)에 걸려 이번 tick을 끊었을 때
+        onExecutorEnd: 'executorEnd',   // callback(executor): 끝난 실행자를 목록에서 뺐을 때
+        onInstall: 'install',           // callback(config): 설치가 끝났을 때 (이미 설치되어 있으면 바로 한 번)
+        onReset: 'reset'                // callback(config): reset()으로 원래대로 되돌렸을 때
+    };
+    Object.keys(HOOK_METHODS).forEach(method => {
+        const name = HOOK_METHODS[method];
+        window.EntryLimitConfig[method] = function(callback) {
+            if (typeof callback !== 'function') {
+                console.warn('⚠️ 훅에는 함수를 넘겨야 합니다:', method, callback);
+                return this;
+            }
+            if (this.hooks[name].indexOf(callback) === -1) {
+                this.hooks[name].push(callback);
+            }
+            if (name === 'install' && this.isActive) {
+                callHook(name, callback, this);
+            }
+            return this;
+        };
+    });
+    
+    // 모든 훅에서 callback을 뺀다 (생략하면 모든 훅을 지운다)
+    window.EntryLimitConfig.offHook = function(callback) {
+        Object.keys(this.hooks).forEach(name => {
+            this.hooks[name] = callback === undefined ? [] : this.hooks[name].filter(item => item !== callback);
+        });
+        return this;
+    };
+    
+    // count: 프레임당 감시 알림에 담을 최대 블록 수
+    window.EntryLimitConfig.setWatchBlockLimit = function(count) {
+        this.watchBlockLimit = count;
+        warnCopyOnly(this, 'watchBlockLimit');
+        console.log('✓ 감시 알림 블록 수 제한:', count === Infinity ? '무제한' : count + '개');
+        return this;
+    };
+    
+    // 터보 모드 동안 감시 알림(블록 편집기의 실행 표시 등)을 끈다
+    window.EntryLimitConfig.setWatchMuted = function(muted) {
+        this.muteWatchInTurbo = !!muted;
+        warnCopyOnly(this, 'muteWatchInTurbo');
+        console.log('✓ 터보 모드 감시 알림:', this.muteWatchInTurbo ? '끔' : '켬');
+        return this;
+    };
+    
+    // policy: 'every', 'first-per-frame', 'sampled(n)' (예: 'sampled(10)'), 'off'
+    window.EntryLimitConfig.setExecuteEventPolicy = function(policy) {
+        this.executeEventPolicy = policy;
+        warnCopyOnly(this, 'executeEventPolicy');
+        console.log('✓ 블록 실행 알림 정책:', policy);
+        return this;
+    };
+    
+    // 블록 프로파일러: 실행마다 시간을 잰다 (래핑 전략은 Executor.execute 래퍼에서)
+    window.EntryLimitConfig.profile = {
+        start: function() {
+            profiler.blocks.clear();
+            profiler.executors.clear();
+            profiler.frames = 0;
+            profiler.running = true;
+            console.log('✓ 블록 프로파일러 시작');
+            return this;
+        },
         
-        Entry.Code.prototype.tick = function() {
-            const config = window.EntryLimitConfig;
+        stop: function() {
+            profiler.running = false;
+            console.log('✓ 블록 프로파일러 정지 (프레임', profiler.frames + '개)');
+            return this;
+        },
+        
+        // limit: 표에 보여 줄 순위 수 (기본 20)
+        report: function(limit) {
+            const count = limit === undefined ? 20 : limit;
+            const blocks = rankProfile(profiler.blocks, count);
+            const executors = rankProfile(profiler.executors, count);
+            const ms = value => Math.round(value * 100) / 100;
             
-            if (Entry.isTurbo && !this.isUpdateTime) {
-                this.isUpdateTime = performance.now();
+            console.log('🔥 시간이 많이 든 블록 (프레임', profiler.frames + '개 기준):');
+            console.table(blocks.map(entry => ({
+                블록: entry.blockId,
+                종류: entry.blockType,
+                오브젝트: entry.objectName,
+                실행: entry.executions,
+                '시간(ms)': ms(entry.time),
+                '프레임당 실행': ms(entry.executionsPerFrame),
+                '프레임당 시간(ms)': ms(entry.timePerFrame),
+                '최대 프레임 시간(ms)': ms(entry.peakFrameTime)
+            })));
+            console.log('🔥 시간이 많이 든 스크립트:');
+            console.table(executors.map(entry => ({
+                오브젝트: entry.objectName,
+                '시작 블록': entry.startBlockId,
+                실행: entry.executions,
+                '시간(ms)': ms(entry.time),
+                '프레임당 시간(ms)': ms(entry.timePerFrame),
+                '최대 프레임 시간(ms)': ms(entry.peakFrameTime)
+            })));
+            return { frames: profiler.frames, blocks: blocks, executors: executors };
+        }
+    };
+    
+    // 변수/리스트 변화 기록기 (실행마다 비교, 래핑 전략은 Executor.execute 래퍼에서)
+    window.EntryLimitConfig.trace = {
+        // names: 기록할 변수/리스트 이름 또는 id (배열로 여러 개, 생략하면 전부), capacity: 최대 기록 수
+        start: function(names, capacity) {
+            const size = capacity === undefined ? 10000 : capacity;
+            if (!Number.isInteger(size) || size < 1) {
+                console.warn('⚠️ 기록 용량은 1 이상의 정수여야 합니다:', capacity);
+                return this;
             }
-            
-            const executors = this.executors;
-            const watchEvent = this.watchEvent;
-            const shouldNotifyWatch = watchEvent.hasListeners();
-            let result;
-            let executedBlocks = [];
-            const loopExecutor = [];
-            
-            const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
-            const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
-            
-            // 일반 실행자들 처리
-            for (let i = 0; i < executors.length; i++) {
-                const executor = executors[i];
-                if (executor.isPause()) {
-                    continue;
-                } else if (!executor.isEnd()) {
-                    const { view } = executor.scope.block || {};
-                    _executeEvent(view);
-                    result = executor.execute(true);
-                    if (executor.isLooped) {
-                        loopExecutor.push(executor);
-                    }
-                    if (shouldNotifyWatch) {
-                        const { blocks } = result;
-                        executedBlocks = executedBlocks.concat(blocks);
-                    }
-                } else if (executor.isEnd()) {
-                    _executeEndEvent(this.board);
-                    executors.splice(i--, 1);
-                    if (_.isEmpty(executors)) {
-                        this.executeEndEvent.notify();
-                    }
-                }
+            recorder.watches = resolveWatches(names);
+            recorder.buffer = [];
+            recorder.capacity = size;
+            recorder.next = 0;
+            recorder.dropped = 0;
+            // 시작 값을 첫 기록으로 남겨 그래프의 출발점으로 쓴다
+            recorder.watches.forEach(watch => pushTrace(traceEntry(watch, null, null, 0)));
+            recorder.running = true;
+            console.log('✓ 변수 기록 시작:', recorder.watches.map(watch => watch.name).join(', ') || '(대상 없음)');
+            return this;
+        },
+        
+        stop: function() {
+            recorder.running = false;
+            console.log('✓ 변수 기록 정지:', recorder.buffer.length + '개 기록',
+                recorder.dropped > 0 ? '(오래된 기록 ' + recorder.dropped + '개 덮어씀)' : '');
+            return this;
+        },
+        
+        clear: function() {
+            recorder.buffer = [];
+            recorder.next = 0;
+            recorder.dropped = 0;
+            return this;
+        },
+        
+        entries: function() {
+            return traceEntries();
+        },
+        
+        exportJSON: function() {
+            return JSON.stringify(traceEntries());
+        },
+        
+        exportCSV: function() {
+            const columns = ['tick', 'iteration', 'objectName', 'blockId', 'blockType', 'name', 'kind', 'value'];
+            const lines = traceEntries().map(entry => columns.map(column => csvCell(entry[column])).join(','));
+            return [columns.join(',')].concat(lines).join('\n');
+        },
+        
+        // format: 'csv' 또는 'json' (파일로 내려받기)
+        download: function(format) {
+            const isJSON = format === 'json';
+            const blob = new Blob([isJSON ? this.exportJSON() : this.exportCSV()], {
+                type: isJSON ? 'application/json' : 'text/csv'
+            });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'entry-trace.' + (isJSON ? 'json' : 'csv');
+            link.click();
+            URL.revokeObjectURL(link.href);
+            return this;
+        }
+    };
+    
+    // 스텝 디버거: pause() 후 step('tick' | 'iteration' | 'block')으로 한 단계씩 진행
+    const STEP_MODES = { tick: stepTick, iteration: stepIteration, block: stepBlock };
+    window.EntryLimitConfig.debug = {
+        pause: function() {
+            debugState.paused = true;
+            debugState.steps = 0;
+            console.log('⏸ 엔진 멈춤: debug.step("tick") / debug.step("iteration") / debug.step("block") / debug.resume()');
+            return this;
+        },
+        
+        resume: function() {
+            debugState.paused = false;
+            debugState.breakHit = false;
+            console.log('▶ 엔진 재개');
+            return this;
+        },
+        
+        isPaused: function() {
+            return debugState.paused;
+        },
+        
+        // mode: 'tick' (모든 오브젝트 한 프레임), 'iteration' (실행자 한 번 실행), 'block' (블록 하나)
+        step: function(mode) {
+            const stepMode = mode === undefined ? 'tick' : mode;
+            if (!Object.prototype.hasOwnProperty.call(STEP_MODES, stepMode)) {
+                console.warn('⚠️ 지원하지 않는 단계입니다:', mode, "- 'tick', 'iteration', 'block' 중 하나를 쓰세요.");
+                return null;
+            }
+            if (stepMode === 'block' && patchPoints.blockStep.action === 'skip') {
+                console.warn('⚠️ 블록 단위 단계를 쓸 수 없습니다:', patchPoints.blockStep.detail);
+                return null;
+            }
+            if (!debugState.paused) {
+                this.pause();
             }
             
-            // 반복문 실행자들 처리 (설정 가능한 제한)
-            if (Entry.isTurbo && loopExecutor.length > 0) {
-                let executionCount = 0;
-                const maxExecutions = config.loopExecutionsPerFrame;
-                
-                for (let i = 0; i < loopExecutor.length; i++) {
-                    const executor = loopExecutor[i];
-                    if (executor.isPause()) {
-                        continue;
-                    } else if (!executor.isEnd()) {
-                        const { view } = executor.scope.block || {};
-                        _executeEvent(view);
-                        result = executor.execute(true);
-                        executionCount++;
-                        
-                        if (shouldNotifyWatch) {
-                            const { blocks } = result;
-                            executedBlocks = executedBlocks.concat(blocks);
-                        }
-                    } else if (executor.isEnd()) {
-                        _executeEndEvent(this.board);
-                        loopExecutor.splice(i--, 1);
-                        if (_.isEmpty(loopExecutor)) {
-                            this.executeEndEvent.notify();
-                        }
-                    }
-                    
-                    // 실행 횟수 제한 적용
-                    if (i === loopExecutor.length - 1) {
-                        if (config.unlimitedMode || maxExecutions === Infinity) {
-                            // 무제한 모드: 계속 실행
-                            i = -1;
-                        } else if (executionCount < maxExecutions) {
-                            // 설정된 횟수만큼 더 실행
-                            i = -1;
-                        }
-                        // 제한에 도달하면 이번 프레임은 종료
-                    }
-                }
+            const before = readVariables();
+            debugState.breakHit = false;
+            debugState.executed = [];
+            debugState.stepping = true;
+            try {
+                STEP_MODES[stepMode]();
+            } finally {
+                debugState.stepping = false;
             }
+            const executed = debugState.executed;
+            debugState.executed = [];
+            debugState.steps++;
             
-            this.isUpdateTime = 0;
-            shouldNotifyWatch && watchEvent.notify(executedBlocks);
-            if (result && result.promises) {
-                Entry.engine.addPromiseExecutor(result.promises);
+            const changes = diffVariables(before, readVariables());
+            printStep(stepMode, executed, changes);
+            return {
+                mode: stepMode,
+                executed: executed.map(entry => Object.assign(describeExecutor(entry.executor), {
+                    executedBlockId: entry.block ? entry.block.id : null
+                })),
+                changes: changes
+            };
+        },
+        
+        // 블록을 실행하기 직전에 멈춘다 (condition이 있으면 그 조건이 참일 때만)
+        breakOnBlock: function(blockId, condition) {
+            return addBreakpoint(blockId, condition);
+        },
+        
+        // 예: breakWhen('score > 1000'), breakWhen('기록.length >= 10')
+        breakWhen: function(condition) {
+            return addBreakpoint(null, condition);
+        },
+        
+        removeBreakpoint: function(id) {
+            const index = breakpoints.findIndex(item => item.id === id);
+            if (index === -1) {
+                console.warn('⚠️ 중단점을 찾을 수 없습니다:', id);
+                return false;
             }
-        };
+            breakpoints.splice(index, 1);
+            console.log('✓ 중단점 #' + id, '삭제');
+            return true;
+        },
         
-        console.log('✓ Entry.Code.prototype.tick 오버라이드 완료');
-        window.EntryLimitConfig.isActive = true;
-    } else {
-        console.error('❌ Entry.Code.prototype.tick을 찾을 수 없습니다.');
-    }
+        clearBreakpoints: function() {
+            breakpoints.length = 0;
+            debugState.skipBlock = null;
+            console.log('✓ 중단점 모두 삭제');
+            return this;
+        },
+        
+        getBreakpoints: function() {
+            return breakpoints.map(item => ({
+                id: item.id,
+                label: breakpointLabel(item),
+                blockId: item.blockId,
+                condition: item.condition,
+                hits: item.hits,
+                error: item.error ? item.error.message : null
+            }));
+        },
+        
+        // 마지막으로 걸린 중단점: 실행자(오브젝트), 블록, 이번 프레임 반복 횟수
+        getLastHit: function() {
+            return debugState.lastHit;
+        },
+        
+        enableShortcuts: function() {
+            if (!debugState.shortcuts) {
+                debugState.shortcuts = handleDebugKey;
+                document.addEventListener('keydown', handleDebugKey);
+            }
+            console.log('✓ 디버거 단축키: F8 멈춤/재개, F9 tick 단계, F10 iteration 단계, Shift+F10 블록 단계');
+            return this;
+        },
+        
+        disableShortcuts: function() {
+            if (debugState.shortcuts) {
+                document.removeEventListener('keydown', debugState.shortcuts);
+                debugState.shortcuts = null;
+            }
+            return this;
+        }
+    };
+    
+    // 빨리 감기: 가상 시계로 N프레임 또는 조건이 참이 될 때까지 최대한 빠르게 실행
+    // 예: fastForward(3600), fastForward({ until: 'score >= 100', maxFrames: 60000 })
+    window.EntryLimitConfig.fastForward = function(options) {
+        if (fastForward.running) {
+            console.warn('⚠️ 이미 빨리 감기 중입니다.');
+            return Promise.resolve(null);
+        }
+        if (this.tickStrategy !== 'copy') {
+            console.warn('⚠️ 빨리 감기는 복사본 전략(copy)에서만 쓸 수 있습니다.');
+            return Promise.resolve(null);
+        }
+        if (Entry.engine && typeof Entry.engine.isState === 'function' && !Entry.engine.isState('run')) {
+            console.warn('⚠️ 프로젝트를 먼저 실행하세요.');
+            return Promise.resolve(null);
+        }
+        if (options && options.until !== undefined) {
+            try {
+                compileCondition(options.until);
+            } catch (e) {
+                console.error('❌ 조건식을 해석할 수 없습니다:', options.until, e.message);
+                return Promise.resolve(null);
+            }
+        }
+        if (this.timeBudget !== null) {
+            console.warn('⚠️ 시간 예산 모드에서는 프레임당 반복 횟수가 달라져 결과가 매번 같지 않을 수 있습니다.');
+        }
+        
+        console.log('⏩ 빨리 감기 시작');
+        return runFastForward(options).then(result => {
+            console.log('✓ 빨리 감기 완료:', result.frames + '프레임',
+                '(가상 ' + (result.virtualMs / 1000).toFixed(1) + '초, 실제 ' + Math.round(result.realMs) + 'ms, 종료 이유: ' + result.reason + ')');
+            return result;
+        });
+    };
     
-    // 4. 함수 호출 스택 제한 해제
-    const originalCallStackLength = Entry.callStackLength;
-    Entry.callStackLength = 0; // 항상 0으로 유지
+    window.EntryLimitConfig.stopFastForward = function() {
+        fastForward.stopRequested = true;
+        return this;
+    };
     
-    // callStackLength에 대한 설정자/접근자 오버라이드
-    if (Object.defineProperty) {
+    // 시간 배율: 0.25면 4배 느리게, 4면 4배 빠르게 (1이면 FPS 기준 속도로 복원)
+    window.EntryLimitConfig.setTimeScale = function(scale) {
+        if (fastForward.running) {
+            console.warn('⚠️ 빨리 감기 중에는 시간 배율을 바꿀 수 없습니다.');
+            return this;
+        }
+        
+        applyTimeScale(scale);
+        
+        // 프로젝트를 다시 시작하면 엔진이 FPS 간격으로 루프를 새로 걸므로 그때도 배율을 적용한다
+        const engine = Entry.engine;
+        if (scale !== 1 && engine && typeof engine.start === 'function' && !this.originalMethods.engineStart) {
+            const originalStart = engine.start;
+            this.originalMethods.engineStart = originalStart;
+            engine.start = function(...args) {
+                const result = originalStart.apply(this, args);
+                if (timeScale.scale !== 1) {
+                    restartEngineTicker();
+                }
+                return result;
+            };
+        }
+        const restarted = restartEngineTicker();
+        // 패치가 꺼져 있으면 원본 tick의 터보 시간 창도 배율에 맞춘다
+        if (!this.isActive) {
+            Entry.tickTime = engineTickInterval();
+        }
+        
+        console.log('✓ 시간 배율:', scale + '배', restarted ? '(tick 간격 ' + engineTickInterval() + 'ms)' : '(엔진이 멈춰 있어 다음 실행부터 적용)');
+        return this;
+    };
+    
+    window.EntryLimitConfig.resetTimeScale = function() {
+        return this.setTimeScale(1);
+    };
+    
+    // 저장되는 설정(반복 제한, 무제한 모드, 시간 예산, 개별 규칙과 가중치)을 JSON 문자열로
+    window.EntryLimitConfig.exportSettings = function() {
+        return snapshotSettings(this);
+    };
+    
+    // json: exportSettings()의 결과 (문자열 또는 객체). 적용한 뒤 이 작품의 설정으로 저장한다
+    window.EntryLimitConfig.importSettings = function(json) {
+        let settings;
         try {
-            Object.defineProperty(Entry, 'callStackLength', {
-                get: function() {
-                    return 0; // 항상 0 반환으로 스택 오버플로우 방지 우회
-                },
-                set: function(value) {
-                    // 설정 무시
-                },
-                configurable: true
-            });
-            console.log('✓ 함수 호출 스택 제한 해제 완료');
+            settings = parseSettings(json);
         } catch (e) {
-            console.warn('⚠️ callStackLength 오버라이드 실패:', e);
+            console.error('❌ 설정을 가져올 수 없습니다:', e.message);
+            return false;
         }
-    }
+        Object.assign(this, settings);
+        persistSettings(this);
+        console.log('✓ 설정 가져오기 완료:', Object.keys(settings).join(', ') || '(바뀐 항목 없음)');
+        return true;
+    };
     
-    // 5. 설정 변경 함수들
-    window.EntryLimitConfig.setLoopLimit = function(count) {
-        this.loopExecutionsPerFrame = count;
-        console.log('✓ 반복 실행 횟수 설정:', count === Infinity ? '무제한' : count + '회');
+    // 이 작품에 저장된 설정을 지운다 (지금 설정은 그대로)
+    window.EntryLimitConfig.clearSavedSettings = function() {
+        try {
+            localStorage.removeItem(settingsStorageKey());
+            console.log('✓ 저장된 설정 삭제:', settingsStorageKey());
+        } catch (e) {
+            console.warn('⚠️ 저장된 설정을 지우지 못했습니다:', e.message);
+        }
         return this;
     };
     
-    window.EntryLimitConfig.setUnlimitedMode = function(enabled) {
-        this.unlimitedMode = enabled;
-        if (enabled) {
-            this.loopExecutionsPerFrame = Infinity;
-            console.log('✓ 완전 무제한 모드 활성화');
+    // 스테이지 옆 제어 패널 (설치할 때 자동으로 띄운다)
+    // tick을 패치하지 못했거나 reset()한 뒤에는 조절할 것이 없으므로 띄우지 않는다
+    window.EntryLimitConfig.panel = {
+        show: function() {
+            if (typeof document === 'undefined' || !document.body) {
+                console.warn('⚠️ 패널을 붙일 문서가 없습니다.');
+                return this;
+            }
+            if (!window.EntryLimitConfig.isActive) {
+                console.warn('⚠️ 도구가 꺼져 있어 패널을 띄우지 않습니다. (도구를 다시 실행하세요)');
+                return this;
+            }
+            showPanel();
+            return this;
+        },
+        
+        hide: function() {
+            hidePanel();
+            return this;
+        },
+        
+        toggle: function() {
+            return panel.root && panel.root.style.display !== 'none' ? this.hide() : this.show();
+        },
+        
+        remove: function() {
+            hidePanel();
+            if (panel.root && panel.root.parentNode) {
+                panel.root.parentNode.removeChild(panel.root);
+            }
+            panel.root = null;
+            return this;
+        }
+    };
+    
+    // level: 'off'(터보 끔), 'x1'(1000회), 'x10'(10000회), 'x100'(100000회), 'unlimited'
+    // Entry 속도 조절의 터보 단계 칸을 누른 것과 같다
+    window.EntryLimitConfig.setTurboLevel = function(level) {
+        const canSetSpeed = patchPoints.speedControl.action === 'apply';
+        if (level === 'off') {
+            Entry.isTurbo = false;
+            if (canSetSpeed && speedControl.savedFPS !== null) {
+                setEngineSpeed(speedControl.savedFPS);
+            }
+            speedControl.savedFPS = null;
+            console.log('✓ 터보 단계: 꺼짐');
         } else {
-            console.log('✓ 제한 모드로 변경');
+            const item = TURBO_LEVELS.find(entry => entry.id === level);
+            if (this.timeBudget !== null) {
+                this.setTimeBudget(null);
+            }
+            if (item.limit === Infinity) {
+                this.setUnlimitedMode(true);
+            } else {
+                if (this.unlimitedMode) {
+                    this.setUnlimitedMode(false);
+                }
+                this.setLoopLimit(item.limit);
+            }
+            Entry.isTurbo = true;
+            // 터보 단계는 Entry의 가장 빠른 속도 위에 얹는다
+            const fastest = fastestSpeed();
+            if (canSetSpeed && fastest !== null && Entry.FPS !== fastest) {
+                if (speedControl.savedFPS === null) {
+                    speedControl.savedFPS = Entry.FPS;
+                }
+                setEngineSpeed(fastest);
+            }
+            console.log('✓ 터보 단계:', item.label);
+        }
+        refreshSpeedControl();
+        refreshPanel();
+        return this;
+    };
+    
+    window.EntryLimitConfig.getTurboLevel = function() {
+        return currentTurboLevel(this);
+    };
+    
+    // 'copy': 복사한 tick 본문 (개별 규칙, 가중치, 워치독 지원)
+    // 'wrap': 원본 tick을 시간 창을 주며 반복 호출 (EntryJS 업데이트를 그대로 따름)
+    window.EntryLimitConfig.setTickStrategy = function(strategy) {
+        if (strategy === 'copy' && !canCopyTick) {
+            console.warn('⚠️ 복사본 전략을 쓸 수 없습니다:', patchPoints.codeTick.detail || patchPoints.executorApi.detail);
+            return this;
+        }
+        this.tickStrategy = strategy;
+        if (this.isActive) {
+            Entry.Code.prototype.tick = tickStrategies[strategy];
+        }
+        console.log('✓ tick 전략 변경:', strategy);
+        if (strategy === 'wrap') {
+            console.warn('⚠️ 래핑 전략에서는 적용되지 않는 설정:', copyOnlyLabels());
         }
         return this;
     };
@@ -171,30 +3395,276 @@
             console.log('✓ tick 메서드 복원 완료');
         }
         
+        if (this.originalMethods.executorExecute && Entry.Executor) {
+            Entry.Executor.prototype.execute = this.originalMethods.executorExecute;
+        }
+        if (this.originalMethods.maximumCallStack !== undefined && Entry.Executor) {
+            Entry.Executor.MAXIMUM_CALLSTACK = this.originalMethods.maximumCallStack;
+        }
+        if (this.originalMethods.stopProjectWithToast && Entry.Utils) {
+            Entry.Utils.stopProjectWithToast = this.originalMethods.stopProjectWithToast;
+        }
+        // callStackLength를 평범한 값으로 되돌린다
+        if (patchPoints.callStackLength.action !== 'skip') {
+            const callStackLength = callDepth.counter;
+            delete Entry.callStackLength;
+            Entry.callStackLength = callStackLength;
+        }
+        console.log('✓ 함수 호출 깊이 추적 해제');
+        
+        // 빨리 감기 중이면 다음 프레임에서 멈추고, 시계와 타이머는 빨리 감기가 끝나며 되돌린다
+        fastForward.stopRequested = true;
+        
+        // Entry 속도 조절 복원: 덧붙인 터보 단계 칸을 떼고 터보 단계로 바꾸기 전 속도로 되돌린다
+        removeTurboCells();
+        if (this.originalMethods.setSpeedMeter && Entry.engine) {
+            Entry.engine.setSpeedMeter = this.originalMethods.setSpeedMeter;
+            Entry.engine.toggleSpeedPanel = this.originalMethods.toggleSpeedPanel;
+            delete this.originalMethods.setSpeedMeter;
+            delete this.originalMethods.toggleSpeedPanel;
+            if (speedControl.savedFPS !== null) {
+                Entry.engine.setSpeedMeter(speedControl.savedFPS);
+            }
+        }
+        speedControl.savedFPS = null;
+        
+        // 원래 Date, performance.now, 타이머 함수로 되돌리고 엔진 루프를 FPS 간격으로 다시 건다
+        if (fastForward.running) {
+            fastForward.restoreOnEnd = true;
+        } else {
+            restoreRealTiming();
+        }
+        if (this.originalMethods.engineStart && Entry.engine) {
+            Entry.engine.start = this.originalMethods.engineStart;
+            delete this.originalMethods.engineStart;
+        }
+        
+        // 디버거 멈춤과 단축키 해제
+        debugState.paused = false;
+        debugState.breakHit = false;
+        this.debug.disableShortcuts();
+        
+        // 제어 패널을 떼고 갱신 타이머를 멈춘다 (다시 쓰려면 도구를 다시 실행)
+        this.panel.remove();
+        
+        // 멈춰 둔 실행자는 원래 Code로 돌려보낸다
+        while (stalledExecutors.length) {
+            this.resumeExecutor(stalledExecutors[0].id);
+        }
+        
         // 기본값 복원
         Entry.isTurbo = false;
         Entry.tickTime = Math.floor(1000 / (Entry.FPS || 60));
         
         this.isActive = false;
         console.log('✓ 모든 설정 초기화 완료');
+        runHooks('reset', this);
         return this;
     };
     
+    // 설치 시 검사한 패치 지점별 호환성과 적용 여부
+    window.EntryLimitConfig.diagnose = function() {
+        const rows = {};
+        Object.keys(this.compat).forEach(id => {
+            const point = this.compat[id];
+            rows[point.label] = {
+                상태: point.status,
+                적용: PATCH_ACTIONS[point.action],
+                설명: point.detail
+            };
+        });
+        console.log('🩺 패치 지점 호환성:');
+        console.table(rows);
+        return this.compat;
+    };
+    
     window.EntryLimitConfig.status = function() {
         console.log('📊 현재 설정 상태:');
         console.log('- 활성화:', this.isActive);
         console.log('- 터보 모드:', Entry.isTurbo);
+        console.log('- tick 전략:', this.tickStrategy);
+        if (this.tickStrategy === 'wrap') {
+            console.log('- 래핑 전략이라 적용되지 않는 설정:', copyOnlyLabels());
+        }
+        console.log('- 블록 실행 알림 정책:', this.executeEventPolicy);
+        console.log('- 감시 알림:', this.muteWatchInTurbo ? '터보 중 끔' : '프레임당 최대 ' + this.watchBlockLimit + '개 블록');
         console.log('- 프레임당 반복 횟수:', this.loopExecutionsPerFrame === Infinity ? '무제한' : this.loopExecutionsPerFrame);
         console.log('- 무제한 모드:', this.unlimitedMode);
+        Object.keys(this.loopRules).forEach(key => {
+            const count = this.loopRules[key];
+            console.log('- 개별 규칙:', key, '→', count === Infinity ? '무제한' : count + '회');
+        });
+        Object.keys(this.loopWeights).forEach(key => {
+            console.log('- 가중치:', key, '→', this.loopWeights[key]);
+        });
+        console.log('- 최소 보장 반복 횟수:', this.minTurnsPerFrame + '회');
+        const executorUsage = this.getExecutorStats();
+        if (executorUsage.length > 0) {
+            console.log('- 실행자별 사용량 (지난 프레임):');
+            console.table(executorUsage.map(stats => ({
+                오브젝트: stats.objectName,
+                블록: stats.blockId,
+                가중치: stats.weight,
+                한도: stats.limit === Infinity ? '무제한' : stats.limit,
+                반복: stats.lastTurns,
+                굶주림: stats.starved
+            })));
+        }
+        console.log('- 시간 예산:', this.timeBudget === null ? '사용 안 함' : this.timeBudget + 'ms');
+        if (this.timeBudget !== null && this.timeBudgetMaxIterations !== Infinity) {
+            console.log('- 시간 예산 보조 제한:', this.timeBudgetMaxIterations + '회');
+        }
+        console.log('- 지난 프레임 반복 횟수:', this.stats.lastFrameIterations);
+        console.log('- 평균 프레임 반복 횟수:', Math.round(this.stats.averageIterations));
+        console.log('- 전부 대기 중이라 일찍 끝낸 횟수:', this.stats.idleSweepExits);
+        console.log('- 워치독:', this.watchdogMs === null ? '사용 안 함' : this.watchdogMs + 'ms');
+        console.log('- 멈춘 실행자:', stalledExecutors.length + '개');
+        console.log('- 디버거:', debugState.paused ? '멈춤 (단계 ' + debugState.steps + ')' : '실행 중');
+        console.log('- 중단점:', breakpoints.length + '개');
+        console.log('- 변수 기록:', recorder.running ? '기록 중 (' + recorder.buffer.length + '개)' : '꺼짐');
+        console.log('- 빨리 감기:', fastForward.running ? '진행 중' : '꺼짐');
+        console.log('- 시간 배율:', timeScale.scale + '배');
+        console.log('- 터보 단계:', Entry.isTurbo ? currentTurboLevel(this) : '꺼짐 (Entry 속도 ' + Entry.FPS + ')');
+        console.log('- 함수 호출 최대 깊이:', this.maxCallDepth === Infinity ? '무제한' : this.maxCallDepth);
+        console.log('- 현재 함수 호출 깊이:', callDepth.current);
+        if (this.stats.lastCallDepthError) {
+            console.log('- 마지막 깊이 초과:', this.stats.lastCallDepthError.message);
+        }
+        const hookCount = Object.keys(this.hooks).reduce((sum, name) => sum + this.hooks[name].length, 0);
+        console.log('- 수명 주기 훅:', hookCount + '개', hookState.errors > 0 ? '(오류 ' + hookState.errors + '회: ' + hookState.lastError + ')' : '');
+        console.log('- 실행 오류 격리:', this.isolateErrors ? '켜짐' : '꺼짐', '(기록 ' + errorLog.entries.length + '개)');
+        console.log('- 설정 저장 위치:', 'localStorage "' + settingsStorageKey() + '"',
+            persistence.lastError ? '(오류: ' + persistence.lastError.message + ')' : '');
         console.log('- Entry.tickTime:', Entry.tickTime, 'ms');
         return this;
     };
     
+    // 6. 통합 설정 (EntryConfig)
+    // 설정 함수를 감싸 스키마로 인자를 검사하고 바뀐 설정을 알린다.
+    // 그래서 예전처럼 EntryLimitConfig의 함수를 불러도 같은 검사와 알림을 거친다.
+    const SETTING_MUTATORS = ['importSettings', 'reset']; // 인자 검사 없이 변경만 알리는 함수
+    const checkedArguments = {};
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+        const rule = CONFIG_SCHEMA[key];
+        checkedArguments[rule.method] = (checkedArguments[rule.method] || []).concat({ key: key, index: rule.argument || 0 });
+    });
+    Object.keys(checkedArguments).concat(SETTING_MUTATORS).forEach(name => {
+        const original = window.EntryLimitConfig[name];
+        const checks = checkedArguments[name] || [];
+        window.EntryLimitConfig[name] = function() {
+            checks.forEach(check => checkSetting(check.key, arguments[check.index]));
+            return trackSettingChanges(() => original.apply(this, arguments));
+        };
+    });
+    
+    window.EntryConfig = {
+        tool: 'EntryLimitConfig',   // 설정을 실제로 적용하는 도구
+        schema: CONFIG_SCHEMA,
+        ConfigError: ConfigError,
+        
+        // key를 생략하면 모든 설정을 객체로
+        get: function(key) {
+            if (key === undefined) {
+                return readSettings();
+            }
+            return settingRule(key).read(window.EntryLimitConfig);
+        },
+        
+        // set('loopLimit', 5000) 또는 set({ loopLimit: 5000, timeBudget: null })
+        // 하나라도 잘못되면 아무것도 바꾸지 않고 ConfigError를 던진다
+        set: function(key, value) {
+            const changes = typeof key === 'object' && key !== null ? key : { [key]: value };
+            Object.keys(changes).forEach(name => {
+                settingRule(name);
+                checkSetting(name, changes[name]);
+            });
+            const config = window.EntryLimitConfig;
+            trackSettingChanges(() => {
+                Object.keys(changes).forEach(name => config[CONFIG_SCHEMA[name].method](changes[name]));
+            });
+            return this;
+        },
+        
+        // 설정마다 설명, 받을 수 있는 값, 지금 값을 표로 보여 준다
+        describe: function() {
+            const rows = {};
+            settingKeys().forEach(key => {
+                const rule = CONFIG_SCHEMA[key];
+                rows[key] = {
+                    설명: rule.description,
+                    '허용 값': describeRule(rule),
+                    '현재 값': formatSettingValue(rule.read(window.EntryLimitConfig)),
+                    '설정 함수': 'EntryLimitConfig.' + rule.method
+                };
+            });
+            console.table(rows);
+            return this;
+        },
+        
+        // callback({ key, value, previous }): 설정이 바뀔 때마다 (콘솔, 제어 패널, Entry 속도 조절 모두)
+        onChange: function(callback) {
+            if (typeof callback === 'function' && configChanges.listeners.indexOf(callback) === -1) {
+                configChanges.listeners.push(callback);
+            }
+            return this;
+        },
+        
+        offChange: function(callback) {
+            configChanges.listeners = configChanges.listeners.filter(listener => listener !== callback);
+            return this;
+        }
+    };
+    console.log('✓ 통합 설정 EntryConfig 준비 완료:', settingKeys().length + '개 항목');
+    
+    // good.js의 전역 이름(EntryExecutionConfig)으로 부르던 코드도 이 도구의 설정으로 잇는다.
+    // good.js를 직접 설치하면 그쪽 객체가 이 연결을 덮어쓴다.
+    function settingsView(fields) {
+        const view = {};
+        Object.keys(fields).forEach(name => {
+            Object.defineProperty(view, name, {
+                enumerable: true,
+                get: () => window.EntryConfig.get(fields[name]),
+                set: value => {
+                    window.EntryConfig.set(fields[name], value);
+                }
+            });
+        });
+        return view;
+    }
+    
+    if (!window.EntryExecutionConfig || window.EntryExecutionConfig.isShim) {
+        window.EntryExecutionConfig = {
+            isShim: true,
+            loopSettings: settingsView({ maxExecutionsPerFrame: 'loopLimit' }),
+            functionSettings: settingsView({ maxCallStackDepth: 'maxCallDepth' }),
+            globalSettings: settingsView({ unlimitedExecution: 'unlimited' }),
+            setLoopLimit: maxExecutions => {
+                window.EntryConfig.set('loopLimit', maxExecutions);
+            },
+            setUnlimitedMode: enabled => {
+                window.EntryConfig.set('unlimited', enabled);
+            },
+            setFunctionDepthLimit: maxDepth => {
+                window.EntryConfig.set('maxCallDepth', maxDepth);
+            },
+            reset: () => {
+                window.EntryLimitConfig.reset();
+            },
+            status: () => window.EntryLimitConfig.status()
+        };
+        console.log('✓ EntryExecutionConfig 호환 연결 완료 (good.js 호출 → EntryConfig)');
+    }
+    
     // 단축 함수들
     window.setLoopLimit = window.EntryLimitConfig.setLoopLimit.bind(window.EntryLimitConfig);
     window.setUnlimitedLoop = () => window.EntryLimitConfig.setLoopLimit(Infinity);
     window.resetEntryLimits = window.EntryLimitConfig.reset.bind(window.EntryLimitConfig);
     
+    const degraded = Object.keys(patchPoints).filter(id => patchPoints[id].action !== 'apply');
+    if (degraded.length > 0) {
+        console.warn('⚠️ 일부 패치를 건너뛰거나 축소해서 적용했습니다:', degraded.join(', '));
+    }
+    
     console.log('🎉 Entry.js 실행 제한 해제 도구 설치 완료!');
     console.log('');
     console.log('📖 사용법:');
@@ -202,13 +3672,69 @@
     console.log('setLoopLimit(Infinity)   // 무제한 반복');
     console.log('setUnlimitedLoop()       // 무제한 반복 (단축)');
     console.log('EntryLimitConfig.setUnlimitedMode(true)  // 완전 무제한');
+    console.log('EntryLimitConfig.setLoopLimitFor("물리", 5000) // 오브젝트/블록별 반복 횟수');
+    console.log('EntryLimitConfig.clearLoopLimitFor("물리")     // 개별 규칙 삭제');
+    console.log('EntryLimitConfig.setLoopWeightFor("물리", 4)   // 스케줄링 가중치');
+    console.log('EntryLimitConfig.setMinTurns(2)         // 실행자별 최소 보장 반복 횟수');
+    console.log('EntryLimitConfig.getExecutorStats()     // 실행자별 사용량');
+    console.log('EntryLimitConfig.setTimeBudget(12)      // 프레임당 12ms 동안 반복');
+    console.log('EntryLimitConfig.setTimeBudget(12, 5000) // 12ms, 최대 5000회');
+    console.log('EntryLimitConfig.setTimeBudget(null)    // 시간 예산 해제');
+    console.log('EntryLimitConfig.setWatchdog(3000)      // 3초 넘게 멈춘 tick 차단');
+    console.log('EntryLimitConfig.getStalledExecutors()  // 워치독이 멈춘 실행자 목록');
+    console.log('EntryLimitConfig.resumeExecutor(1)      // 멈춘 실행자 재개');
+    console.log('EntryLimitConfig.killExecutor(1)        // 멈춘 실행자 종료');
+    console.log('EntryLimitConfig.setMaxCallDepth(5000)  // 함수 호출 최대 깊이');
+    console.log('EntryLimitConfig.getErrors()            // 격리한 실행 오류 (onError(callback)로 알림)');
+    console.log('EntryLimitConfig.onTickEnd(stats => ...) // 수명 주기 훅 (onTickStart, onLimitReached, onExecutorEnd, onInstall, onReset)');
+    console.log('EntryLimitConfig.setTickStrategy("wrap") // 원본 tick을 감싸는 방식으로 전환');
+    console.log('EntryLimitConfig.setWatchMuted(true)    // 터보 중 감시 알림 끄기');
+    console.log('EntryLimitConfig.setWatchBlockLimit(200) // 감시 알림 블록 수 제한');
+    console.log('EntryLimitConfig.setExecuteEventPolicy("sampled(10)") // 블록 실행 알림 10번에 한 번');
+    console.log('EntryLimitConfig.profile.start()        // 블록 프로파일러 시작');
+    console.log('EntryLimitConfig.profile.report()       // 시간이 많이 든 블록 순위');
+    console.log('EntryLimitConfig.profile.stop()         // 블록 프로파일러 정지');
+    console.log('EntryLimitConfig.debug.pause()          // 엔진 멈춤');
+    console.log('EntryLimitConfig.debug.step("tick")     // 한 프레임 진행 ("iteration": 실행자 한 번, "block": 블록 하나)');
+    console.log('EntryLimitConfig.debug.resume()         // 엔진 재개');
+    console.log('EntryLimitConfig.debug.enableShortcuts() // F8 멈춤/재개, F9 tick, F10 iteration, Shift+F10 block');
+    console.log('EntryLimitConfig.debug.breakWhen("score > 1000") // 조건 중단점');
+    console.log('EntryLimitConfig.debug.breakOnBlock("블록id")    // 블록 중단점');
+    console.log('EntryLimitConfig.trace.start(["score"]) // 변수 변화 기록 시작');
+    console.log('EntryLimitConfig.trace.exportCSV()      // 기록을 CSV로 (exportJSON, download("csv"))');
+    console.log('EntryLimitConfig.fastForward(3600)      // 가상 시계로 3600프레임 빨리 감기');
+    console.log('EntryLimitConfig.fastForward({ until: "score >= 100" }) // 조건이 참이 될 때까지');
+    console.log('EntryLimitConfig.setTimeScale(0.25)    // 4배 느리게 (4면 4배 빠르게, 1이면 복원)');
+    console.log('EntryLimitConfig.exportSettings()       // 설정을 JSON으로 (importSettings(json)으로 적용)');
+    console.log('EntryLimitConfig.panel.toggle()         // 스테이지 옆 제어 패널 보이기/숨기기');
+    console.log('EntryLimitConfig.setTurboLevel("x10")  // 터보 단계 (off, x1, x10, x100, unlimited)');
+    console.log('EntryConfig.set("loopLimit", 5000)     // 통합 설정 (잘못된 값은 ConfigError)');
+    console.log('EntryConfig.describe()                 // 설정 이름, 허용 값, 현재 값');
+    console.log('EntryConfig.onChange(change => ...)    // 설정이 바뀔 때 알림');
     console.log('EntryLimitConfig.status()               // 현재 상태 확인');
+    console.log('EntryLimitConfig.diagnose()             // 패치 지점 호환성 확인');
     console.log('resetEntryLimits()       // 모든 설정 초기화');
     console.log('');
     console.log('⚡ 즉시 테스트:');
     console.log('setLoopLimit(1000); // 1000회로 설정');
     
-    // 기본값으로 1000회 설정
-    window.EntryLimitConfig.setLoopLimit(1000);
+    // 기본값: 터보 단계 x1 (터보 켜기 + 프레임당 1000회)
+    window.EntryLimitConfig.setTurboLevel('x1');
+    
+    // 이 작품에 저장해 둔 설정이 있으면 되살리고, 이후 변경은 자동 저장
+    if (restoreSettings(window.EntryLimitConfig)) {
+        const config = window.EntryLimitConfig;
+        console.log('✓ 저장된 설정 복원:', config.loopExecutionsPerFrame === Infinity ? '무제한' : config.loopExecutionsPerFrame + '회',
+            config.timeBudget === null ? '' : '(시간 예산 ' + config.timeBudget + 'ms)');
+    }
+    persistence.enabled = true;
+    
+    // 콘솔을 쓰지 않아도 조절할 수 있도록 제어 패널을 띄운다
+    if (typeof document !== 'undefined' && document.body) {
+        window.EntryLimitConfig.panel.show();
+    }
+    
+    // 다시 설치한 경우 이어받은 설치 훅을 부른다
+    runHooks('install', window.EntryLimitConfig);
     
 })();
@@ -11,88 +11,263 @@
         Entry.tickTime = 999999999; // 약 11일
         console.log('✓ Entry.tickTime을 매우 큰 값으로 설정 완료');
         
+        // 2-1. tick 방식 (실행 중에도 EntryLoopUnlock.setTickStrategy()로 바꿀 수 있다)
+        // 'copy': 아래 복사한 tick 본문이 반복 패스를 시간 제한 없이 돈다 (무한 반복문이면 탭이 멈춤)
+        // 'wrap': EntryJS 원본 tick을 WRAP_SLICE_MS 시간 조각으로 여러 번 불러 프레임당 wrapFrameMs까지 반복한다
+        const WRAP_SLICE_MS = 8;
+        const originalTick = Entry.Code && Entry.Code.prototype ? Entry.Code.prototype.tick : null;
+        const settings = {
+            tickStrategy: 'copy',
+            wrapFrameMs: 100
+        };
+        
+        window.EntryLoopUnlock = {
+            // frameMs: 'wrap'에서 한 프레임에 원본 tick을 반복할 최대 시간 (생략하면 그대로)
+            setTickStrategy: function(strategy, frameMs) {
+                if (strategy !== 'copy' && strategy !== 'wrap') {
+                    console.warn('⚠️ 알 수 없는 tick 방식입니다:', strategy, "('copy' 또는 'wrap')");
+                    return this;
+                }
+                if (strategy === 'wrap' && typeof originalTick !== 'function') {
+                    console.warn('⚠️ 원본 Code.tick이 없어 wrap 방식을 쓸 수 없습니다.');
+                    return this;
+                }
+                if (frameMs !== undefined) {
+                    if (typeof frameMs !== 'number' || !(frameMs > 0)) {
+                        console.warn('⚠️ 프레임 시간은 0보다 큰 ms여야 합니다:', frameMs);
+                        return this;
+                    }
+                    settings.wrapFrameMs = frameMs;
+                }
+                settings.tickStrategy = strategy;
+                console.log('✓ tick 방식:', strategy, strategy === 'wrap' ? '(프레임당 ' + settings.wrapFrameMs + 'ms)' : '');
+                return this;
+            },
+            
+            getTickStrategy: function() {
+                return settings.tickStrategy;
+            }
+        };
+        
+        // 원본 tick은 isUpdateTime부터 Entry.tickTime이 지날 때까지 반복 패스를 돌므로 호출마다 짧은 시간 창을 준다.
+        // 두 번째 호출부터는 반복문이 아닌 실행자의 isPause를 잠시 true로 가려 프레임당 한 번만 실행되게 한다.
+        const holdPause = () => true;
+        
+        function wrapOriginalTick(code) {
+            const savedTickTime = Entry.tickTime;
+            const frameStart = performance.now();
+            let calls = 0;
+            try {
+                while (true) {
+                    const elapsed = performance.now() - frameStart;
+                    const held = calls++ === 0 ? [] : code.executors.filter(executor =>
+                        !executor.isLooped && !Object.prototype.hasOwnProperty.call(executor, 'isPause'));
+                    held.forEach(executor => {
+                        executor.isPause = holdPause;
+                    });
+                    Entry.tickTime = Math.max(0, Math.min(WRAP_SLICE_MS, settings.wrapFrameMs - elapsed));
+                    code.isUpdateTime = performance.now();
+                    try {
+                        originalTick.call(code);
+                    } finally {
+                        held.forEach(executor => {
+                            delete executor.isPause;
+                        });
+                    }
+                    // 반복 실행자가 모두 끝났거나 멈춰 있거나, 이번 프레임 시간을 다 썼으면 다음 프레임으로 넘긴다
+                    const busy = code.executors.some(executor => executor.isLooped && !executor.isEnd() && !executor.isPause());
+                    if (!Entry.isTurbo || !busy || performance.now() - frameStart >= settings.wrapFrameMs) {
+                        break;
+                    }
+                }
+            } finally {
+                Entry.tickTime = savedTickTime;
+                code.isUpdateTime = 0;
+            }
+        }
+        
         // 3. Code 클래스의 tick 메서드를 오버라이드하여 시간 체크 무력화
-        if (Entry.engine && Entry.engine.code) {
-            const originalTick = Entry.engine.code.tick;
-            Entry.engine.code.tick = function() {
-                // isUpdateTime을 항상 현재 시간으로 설정하여 시간 제한 우회
-                this.isUpdateTime = performance.now();
-                
-                const executors = this.executors;
-                const watchEvent = this.watchEvent;
-                const shouldNotifyWatch = watchEvent.hasListeners();
-                let result;
-                let executedBlocks = [];
-                const loopExecutor = [];
-                
-                const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
-                const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
-                
-                for (let i = 0; i < executors.length; i++) {
-                    const executor = executors[i];
-                    if (executor.isPause()) {
+        // 비동기 블록이 돌려준 Promise는 모든 실행에서 모아 한 번씩만 등록하고,
+        // 끝나지 않은 Promise가 있는 실행자는 반복 패스에서 대기 중으로 본다.
+        const pendingPromises = new WeakMap(); // 실행자 → 끝나지 않은 Promise 목록
+        
+        function collectPromises(collected, executor, result) {
+            if (!result || !result.promises) {
+                return;
+            }
+            result.promises.forEach(promise => {
+                if (!promise || collected.has(promise)) {
+                    return;
+                }
+                collected.add(promise);
+                if (typeof promise.then !== 'function') {
+                    return;
+                }
+                let pending = pendingPromises.get(executor);
+                if (!pending) {
+                    pending = new Set();
+                    pendingPromises.set(executor, pending);
+                }
+                if (!pending.has(promise)) {
+                    pending.add(promise);
+                    const settle = () => pending.delete(promise);
+                    promise.then(settle, settle);
+                }
+            });
+        }
+        
+        function isWaiting(executor) {
+            if (executor.isPause()) {
+                return true;
+            }
+            const pending = pendingPromises.get(executor);
+            return !!pending && pending.size > 0;
+        }
+        
+        const patchedTick = function() {
+            if (settings.tickStrategy === 'wrap') {
+                wrapOriginalTick(this);
+                return;
+            }
+            
+            // isUpdateTime을 항상 현재 시간으로 설정하여 시간 제한 우회
+            this.isUpdateTime = performance.now();
+            
+            const executors = this.executors;
+            const watchEvent = this.watchEvent;
+            // 빌드에 watchEvent.hasListeners나 addPromiseExecutor가 없으면 그 단계만 건너뛴다
+            const shouldNotifyWatch = !!watchEvent && typeof watchEvent.hasListeners === 'function' &&
+                watchEvent.hasListeners();
+            let result;
+            let executedBlocks = [];
+            const promises = new Set(); // 이번 tick의 모든 실행에서 모은 Promise
+            const loopExecutor = [];
+            
+            const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
+            const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
+            
+            for (let i = 0; i < executors.length; i++) {
+                const executor = executors[i];
+                if (executor.isPause()) {
+                    continue;
+                } else if (!executor.isEnd()) {
+                    const { view } = executor.scope.block || {};
+                    _executeEvent(view);
+                    result = executor.execute(true);
+                    collectPromises(promises, executor, result);
+                    if (executor.isLooped) {
+                        loopExecutor.push(executor);
+                    }
+                    if (shouldNotifyWatch) {
+                        const { blocks } = result;
+                        executedBlocks = executedBlocks.concat(blocks);
+                    }
+                } else if (executor.isEnd()) {
+                    _executeEndEvent(this.board);
+                    executors.splice(i--, 1);
+                    if (_.isEmpty(executors)) {
+                        this.executeEndEvent.notify();
+                    }
+                }
+            }
+            
+            // 반복문 실행 시간 제한 완전 제거
+            if (Entry.isTurbo) {
+                for (let i = 0; i < loopExecutor.length; i++) {
+                    const executor = loopExecutor[i];
+                    if (isWaiting(executor)) {
+                        // 일시정지했거나 끝나지 않은 Promise를 기다리는 중
                         continue;
                     } else if (!executor.isEnd()) {
                         const { view } = executor.scope.block || {};
                         _executeEvent(view);
                         result = executor.execute(true);
-                        if (executor.isLooped) {
-                            loopExecutor.push(executor);
-                        }
+                        collectPromises(promises, executor, result);
                         if (shouldNotifyWatch) {
                             const { blocks } = result;
                             executedBlocks = executedBlocks.concat(blocks);
                         }
                     } else if (executor.isEnd()) {
                         _executeEndEvent(this.board);
-                        executors.splice(i--, 1);
-                        if (_.isEmpty(executors)) {
+                        loopExecutor.splice(i--, 1);
+                        if (_.isEmpty(loopExecutor)) {
                             this.executeEndEvent.notify();
                         }
                     }
+                    
+                    // 시간 체크 제거 - 무한 루프 가능
+                    // 원래 코드: if (i === loopExecutor.length - 1 && Entry.tickTime > performance.now() - this.isUpdateTime) { i = -1; }
+                    if (i === loopExecutor.length - 1) {
+                        i = -1; // 시간 제한 없이 계속 반복
+                    }
                 }
-                
-                // 반복문 실행 시간 제한 완전 제거
-                if (Entry.isTurbo) {
-                    for (let i = 0; i < loopExecutor.length; i++) {
-                        const executor = loopExecutor[i];
-                        if (executor.isPause()) {
-                            continue;
-                        } else if (!executor.isEnd()) {
-                            const { view } = executor.scope.block || {};
-                            _executeEvent(view);
-                            result = executor.execute(true);
-                            if (shouldNotifyWatch) {
-                                const { blocks } = result;
-                                executedBlocks = executedBlocks.concat(blocks);
-                            }
-                        } else if (executor.isEnd()) {
-                            _executeEndEvent(this.board);
-                            loopExecutor.splice(i--, 1);
-                            if (_.isEmpty(loopExecutor)) {
-                                this.executeEndEvent.notify();
-                            }
-                        }
-                        
-                        // 시간 체크 제거 - 무한 루프 가능
-                        // 원래 코드: if (i === loopExecutor.length - 1 && Entry.tickTime > performance.now() - this.isUpdateTime) { i = -1; }
-                        if (i === loopExecutor.length - 1) {
-                            i = -1; // 시간 제한 없이 계속 반복
-                        }
+            }
+            
+            this.isUpdateTime = 0;
+            shouldNotifyWatch && watchEvent.notify(executedBlocks);
+            if (promises.size > 0 && Entry.engine && typeof Entry.engine.addPromiseExecutor === 'function') {
+                Entry.engine.addPromiseExecutor(Array.from(promises));
+            }
+        };
+        
+        // 프로젝트를 다시 불러오거나 장면을 바꾸면 새 Code 인스턴스가 만들어져 패치가 사라지므로
+        // 대상 인스턴스를 다시 찾아 설치한다.
+        function findCodeInstances() {
+            const codes = [];
+            if (Entry.engine && Entry.engine.code) {
+                codes.push(Entry.engine.code);
+            }
+            if (Entry.container && Entry.container.getAllObjects) {
+                Entry.container.getAllObjects().forEach(object => {
+                    if (object.script && object.script.tick && codes.indexOf(object.script) === -1) {
+                        codes.push(object.script);
                     }
+                });
+            }
+            return codes;
+        }
+        
+        function installTickPatch() {
+            let installed = 0;
+            findCodeInstances().forEach(code => {
+                if (code.tick !== patchedTick) {
+                    code.tick = patchedTick;
+                    installed++;
                 }
-                
-                this.isUpdateTime = 0;
-                shouldNotifyWatch && watchEvent.notify(executedBlocks);
-                if (result && result.promises) {
-                    Entry.engine.addPromiseExecutor(result.promises);
+            });
+            return installed;
+        }
+        
+        function reinstallAfter(owner, name) {
+            if (!owner || typeof owner[name] !== 'function') {
+                return;
+            }
+            const original = owner[name];
+            owner[name] = function() {
+                const result = original.apply(this, arguments);
+                const reinstall = () => {
+                    const installed = installTickPatch();
+                    if (installed > 0) {
+                        console.log('✓ Code.tick 재적용 (' + name + '):', installed + '개');
+                    }
+                };
+                reinstall();
+                if (result && typeof result.then === 'function') {
+                    result.then(reinstall, () => {});
                 }
+                return result;
             };
-            console.log('✓ Code.tick 메서드 오버라이드 완료');
         }
         
+        const installed = installTickPatch();
+        reinstallAfter(Entry, 'loadProject');
+        reinstallAfter(Entry.scene, 'selectScene');
+        reinstallAfter(Entry.engine, 'toggleRun');
+        console.log('✓ Code.tick 메서드 오버라이드 완료:', installed + '개');
+        
         console.log('🚀 반복문 제한 해제 완료! 이제 반복문이 1프레임에 여러 번 실행될 수 있습니다.');
         console.log('⚠️ 주의: 무한루프 사용 시 브라우저가 응답하지 않을 수 있습니다.');
+        console.log('   EntryLoopUnlock.setTickStrategy("wrap") 으로 원본 tick을 프레임당 ' + settings.wrapFrameMs + 'ms까지만 반복');
         
     } else {
         console.error('❌ Entry 객체를 찾을 수 없습니다. Entry.js가 로드되었는지 확인하세요.');
@@ -6,21 +6,1248 @@ script.textContent = `
 (function() {
     if (typeof Entry === 'undefined') return;
     
+    const previous = window.EntryLimitConfig;
+    if (previous && !previous.isShim && typeof previous.reset === 'function') {
+        if (previous.panel && typeof previous.panel.remove === 'function') previous.panel.remove();
+        previous.reset();
+    }
+    const previousHooks = previous && previous.hooks;
+    
     window.EntryLimitConfig = {
         loopExecutionsPerFrame: 1000,
         unlimitedMode: false,
+        timeBudget: null,
+        timeBudgetMaxIterations: Infinity,
+        watchdogMs: 2000,
+        loopRules: {},
+        loopWeights: {},
+        minTurnsPerFrame: 1,
+        maxCallDepth: 1000,
+        isolateErrors: true,
+        watchBlockLimit: 1000,
+        muteWatchInTurbo: false,
+        executeEventPolicy: 'every',
+        tickStrategy: 'copy',
+        hooks: previousHooks || { tickStart: [], tickEnd: [], limitReached: [], executorEnd: [], install: [], reset: [] },
         originalMethods: {},
-        isActive: false
+        isActive: false,
+        stats: {
+            frames: 0,
+            lastFrameIterations: 0,
+            averageIterations: 0,
+            idleSweepExits: 0,
+            lastCallDepthError: null
+        }
+    };
+    
+    const realNow = performance.now.bind(performance);
+    
+    const frameState = {
+        start: 0,
+        iterations: 0,
+        codes: new Set()
+    };
+    
+    function beginFrame(code) {
+        if (frameState.start && !frameState.codes.has(code)) {
+            frameState.codes.add(code);
+            return;
+        }
+        
+        const stats = window.EntryLimitConfig.stats;
+        if (frameState.start) {
+            stats.frames++;
+            stats.lastFrameIterations = frameState.iterations;
+            stats.averageIterations = stats.frames === 1
+                ? frameState.iterations
+                : stats.averageIterations * 0.9 + frameState.iterations * 0.1;
+        }
+        
+        executorStats.forEach((entry, executor) => {
+            if (executor.isEnd()) executorStats.delete(executor);
+        });
+        if (profiler.running) profiler.frames++;
+        
+        frameState.start = realNow();
+        frameState.iterations = 0;
+        frameState.codes.clear();
+        frameState.codes.add(code);
+    }
+    
+    const hookState = { errors: 0, lastError: null, warned: new WeakSet() };
+    
+    function callHook(name, callback, value) {
+        try {
+            callback(value);
+        } catch (e) {
+            hookState.errors++;
+            hookState.lastError = e;
+            if (!hookState.warned.has(callback)) {
+                hookState.warned.add(callback);
+                console.warn('⚠️ 수명 주기 훅 오류 (' + name + '):', e);
+            }
+        }
+    }
+    
+    function runHooks(name, value) {
+        const callbacks = window.EntryLimitConfig.hooks[name];
+        if (callbacks.length === 0) return;
+        callbacks.slice().forEach(callback => callHook(name, callback, value));
+    }
+    
+    function startTickHooks(code, tickStart) {
+        runHooks('tickStart');
+        return {
+            start: tickStart,
+            frameIterations: frameState.iterations,
+            executors: window.EntryLimitConfig.hooks.executorEnd.length > 0 ? code.executors.slice() : null
+        };
+    }
+    
+    function finishTickHooks(code, tick, limitReached) {
+        const config = window.EntryLimitConfig;
+        if (tick.executors) {
+            const remaining = new Set(code.executors);
+            tick.executors.forEach(executor => {
+                if (!remaining.has(executor) && executor.isEnd()) runHooks('executorEnd', executor);
+            });
+        }
+        if (config.hooks.tickEnd.length === 0 && (!limitReached || config.hooks.limitReached.length === 0)) return;
+        const stats = {
+            strategy: config.tickStrategy,
+            iterations: frameState.iterations - tick.frameIterations,
+            frameIterations: frameState.iterations,
+            elapsed: realNow() - tick.start,
+            limit: sharedLoopLimit(config),
+            limitReached: limitReached,
+            executors: code.executors.length
+        };
+        if (limitReached) runHooks('limitReached', stats);
+        runHooks('tickEnd', stats);
+    }
+    
+    const executorStartBlocks = new WeakMap();
+    
+    function rememberStartBlock(executor) {
+        if (!executorStartBlocks.has(executor) && executor.scope && executor.scope.block) {
+            executorStartBlocks.set(executor, executor.scope.block.id);
+        }
+    }
+    
+    function findExecutorRule(rules, executor) {
+        const object = executor.entity && executor.entity.parent;
+        const keys = [executorStartBlocks.get(executor), object && object.id, object && object.name];
+        for (const key of keys) {
+            if (key !== undefined && key !== null && Object.prototype.hasOwnProperty.call(rules, key)) {
+                return rules[key];
+            }
+        }
+        return null;
+    }
+    
+    function sharedLoopLimit(config) {
+        if (config.timeBudget !== null) return config.timeBudgetMaxIterations;
+        if (config.unlimitedMode) return Infinity;
+        return config.loopExecutionsPerFrame;
+    }
+    
+    function createLoopQuota(config, loopExecutor) {
+        const entries = new Map();
+        const sharedLimit = sharedLoopLimit(config);
+        let sharedWeight = 0;
+        let minWeight = Infinity;
+        
+        for (const executor of loopExecutor) {
+            const rule = findExecutorRule(config.loopRules, executor);
+            const weight = findExecutorRule(config.loopWeights, executor);
+            const entry = {
+                rule: rule,
+                weight: weight === null ? 1 : weight,
+                limit: rule === null ? 0 : rule,
+                turns: 0,
+                credit: 0
+            };
+            if (rule === null) sharedWeight += entry.weight;
+            if (entry.weight > 0) minWeight = Math.min(minWeight, entry.weight);
+            entries.set(executor, entry);
+        }
+        
+        entries.forEach(entry => {
+            if (entry.rule !== null) return;
+            let share = 0;
+            if (sharedLimit === Infinity) {
+                share = Infinity;
+            } else if (sharedWeight > 0) {
+                share = Math.floor(sharedLimit * entry.weight / sharedWeight);
+            }
+            entry.limit = Math.max(share, config.minTurnsPerFrame);
+        });
+        
+        return {
+            entries: entries,
+            minTurns: config.minTurnsPerFrame,
+            weightScale: minWeight === Infinity ? 1 : 1 / minWeight,
+            overtime: false
+        };
+    }
+    
+    function hasLoopQuota(quota, executor) {
+        const entry = quota.entries.get(executor);
+        return entry.turns < entry.limit;
+    }
+    
+    function isStarved(quota, executor) {
+        const entry = quota.entries.get(executor);
+        return entry.turns < Math.min(quota.minTurns, entry.limit);
+    }
+    
+    function canRunLoopTurn(quota, executor) {
+        return quota.overtime ? isStarved(quota, executor) : hasLoopQuota(quota, executor);
+    }
+    
+    function takeSweepTurns(quota, executor) {
+        if (quota.overtime) return 1;
+        const entry = quota.entries.get(executor);
+        entry.credit += entry.weight * quota.weightScale;
+        const turns = Math.floor(entry.credit);
+        entry.credit -= turns;
+        return isStarved(quota, executor) ? Math.max(turns, 1) : turns;
+    }
+    
+    function useLoopQuota(quota, executor) {
+        quota.entries.get(executor).turns++;
+    }
+    
+    function shouldContinueLoop(config, quota, loopExecutor) {
+        quota.overtime = config.timeBudget !== null && realNow() - frameState.start >= config.timeBudget;
+        return loopExecutor.some(executor => !executor.isEnd() && canRunLoopTurn(quota, executor));
+    }
+    
+    const pendingPromises = new WeakMap();
+    
+    function trackPendingPromise(executor, promise) {
+        if (!promise || typeof promise.then !== 'function') return;
+        let pending = pendingPromises.get(executor);
+        if (!pending) {
+            pending = new Set();
+            pendingPromises.set(executor, pending);
+        }
+        if (pending.has(promise)) return;
+        pending.add(promise);
+        const settle = () => pending.delete(promise);
+        promise.then(settle, settle);
+    }
+    
+    function collectPromises(collected, executor, result) {
+        if (!result || !result.promises) return;
+        result.promises.forEach(promise => {
+            if (!promise || collected.has(promise)) return;
+            collected.add(promise);
+            trackPendingPromise(executor, promise);
+        });
+    }
+    
+    function isWaiting(executor) {
+        if (executor.isPause()) return true;
+        const pending = pendingPromises.get(executor);
+        return !!pending && pending.size > 0;
+    }
+    
+    const watchNotifiedFrames = new WeakMap();
+    
+    function shouldNotifyWatchFor(config, code) {
+        if (config.muteWatchInTurbo && Entry.isTurbo) return false;
+        const watchEvent = code.watchEvent;
+        if (typeof watchEvent.hasListeners !== 'function' || !watchEvent.hasListeners()) return false;
+        return watchNotifiedFrames.get(code) !== frameState.start;
+    }
+    
+    function collectWatchBlocks(collected, blocks, limit) {
+        if (!blocks) return;
+        for (let i = 0; i < blocks.length && collected.size < limit; i++) collected.add(blocks[i]);
+    }
+    
+    function parseExecuteEventPolicy(policy) {
+        if (policy === 'every' || policy === 'first-per-frame' || policy === 'off') return { type: policy, interval: 1 };
+        const match = /^sampled\\((\\d+)\\)$/.exec(String(policy));
+        return match && Number(match[1]) > 0 ? { type: 'sampled', interval: Number(match[1]) } : null;
+    }
+    
+    const executeEventCounts = new WeakMap();
+    
+    function shouldDispatchExecute(policy, executor) {
+        if (policy.type === 'every') return true;
+        if (policy.type === 'off') return false;
+        let entry = executeEventCounts.get(executor);
+        if (!entry || entry.frameStart !== frameState.start) {
+            entry = { frameStart: frameState.start, count: 0 };
+            executeEventCounts.set(executor, entry);
+        }
+        const index = entry.count++;
+        return policy.type === 'first-per-frame' ? index === 0 : index % policy.interval === 0;
+    }
+    
+    const executorStats = new Map();
+    
+    function recordLoopTurns(quota) {
+        quota.entries.forEach((entry, executor) => {
+            const stats = executorStats.get(executor) || Object.assign({ totalTurns: 0, frames: 0 }, describeExecutor(executor));
+            stats.weight = entry.weight;
+            stats.limit = entry.limit;
+            stats.lastTurns = entry.turns;
+            stats.totalTurns += entry.turns;
+            stats.frames++;
+            stats.starved = !isWaiting(executor) && entry.turns < Math.min(quota.minTurns, entry.limit);
+            executorStats.set(executor, stats);
+        });
+    }
+    
+    const profiler = {
+        running: false,
+        frames: 0,
+        blocks: new Map(),
+        executors: new Map()
     };
     
-    Entry.isTurbo = true;
+    function profileEntry(map, key, describe) {
+        let entry = map.get(key);
+        if (!entry) {
+            entry = Object.assign({
+                executions: 0,
+                time: 0,
+                frameStart: 0,
+                frameExecutions: 0,
+                frameTime: 0,
+                peakFrameTime: 0
+            }, describe());
+            map.set(key, entry);
+        }
+        return entry;
+    }
+    
+    function addProfileSample(entry, elapsed) {
+        if (entry.frameStart !== frameState.start) {
+            entry.frameStart = frameState.start;
+            entry.frameExecutions = 0;
+            entry.frameTime = 0;
+        }
+        entry.executions++;
+        entry.time += elapsed;
+        entry.frameExecutions++;
+        entry.frameTime += elapsed;
+        entry.peakFrameTime = Math.max(entry.peakFrameTime, entry.frameTime);
+    }
+    
+    function beginExecution(executor, block) {
+        debugState.lastBlock = block;
+        if (debugState.stepping) debugState.executed.push({ executor: executor, block: block });
+        return profiler.running ? realNow() : null;
+    }
+    
+    function endExecution(executor, block, start) {
+        if (start !== null && profiler.running) addExecutionProfile(executor, block, realNow() - start);
+        if (recorder.running) recordTraceChanges(executor, block);
+    }
+    
+    function addExecutionProfile(executor, block, elapsed) {
+        const owner = describeExecutor(executor);
+        if (block) {
+            addProfileSample(profileEntry(profiler.blocks, block.id, () => ({
+                blockId: block.id,
+                blockType: block.type,
+                objectId: owner.objectId,
+                objectName: owner.objectName
+            })), elapsed);
+        }
+        addProfileSample(profileEntry(profiler.executors, executor, () => ({
+            startBlockId: executorStartBlocks.get(executor) || owner.blockId,
+            objectId: owner.objectId,
+            objectName: owner.objectName
+        })), elapsed);
+    }
+    
+    function runExecutor(executor) {
+        const block = executor.scope.block;
+        const start = beginExecution(executor, block);
+        let result;
+        try {
+            result = executor.execute(true);
+        } finally {
+            endExecution(executor, block, start);
+        }
+        return result;
+    }
+    
+    function rankProfile(map, limit) {
+        const frames = Math.max(1, profiler.frames);
+        return Array.from(map.values())
+            .sort((a, b) => b.time - a.time)
+            .slice(0, limit)
+            .map(entry => {
+                const row = Object.assign({}, entry, {
+                    executionsPerFrame: entry.executions / frames,
+                    timePerFrame: entry.time / frames
+                });
+                delete row.frameStart;
+                delete row.frameExecutions;
+                delete row.frameTime;
+                return row;
+            });
+    }
+    
+    const debugState = {
+        paused: false,
+        stepping: false,
+        executed: [],
+        lastBlock: null,
+        breakHit: false,
+        skipBlock: null,
+        lastHit: null,
+        cursor: 0,
+        blockExecutor: null,
+        steps: 0,
+        shortcuts: null
+    };
+    
+    function variableName(variable) {
+        return typeof variable.getName === 'function' ? variable.getName() : variable.name_;
+    }
+    
+    function variableValue(variable) {
+        return typeof variable.getValue === 'function' ? variable.getValue() : variable.value_;
+    }
+    
+    function listItems(list) {
+        const items = typeof list.getArray === 'function' ? list.getArray() : list.array_;
+        return (items || []).map(item => item && item.data !== undefined ? item.data : item);
+    }
+    
+    function readVariables() {
+        const snapshot = new Map();
+        const container = Entry.variableContainer;
+        if (!container) return snapshot;
+        (container.variables_ || []).forEach(variable => {
+            snapshot.set(variable.id_, { name: variableName(variable), value: variableValue(variable) });
+        });
+        (container.lists_ || []).forEach(list => {
+            snapshot.set(list.id_, { name: variableName(list) + ' (리스트)', value: JSON.stringify(listItems(list)) });
+        });
+        return snapshot;
+    }
+    
+    function diffVariables(before, after) {
+        const changes = [];
+        after.forEach((entry, id) => {
+            const previous = before.get(id);
+            if (!previous || previous.value !== entry.value) {
+                changes.push({ name: entry.name, before: previous ? previous.value : undefined, after: entry.value });
+            }
+        });
+        return changes;
+    }
+    
+    function sceneCodes() {
+        const codes = [];
+        const collect = object => {
+            if (object.script && codes.indexOf(object.script) === -1) codes.push(object.script);
+        };
+        if (patchPoints.mapObjectOnScene.action === 'apply') Entry.container.mapObjectOnScene(collect);
+        else if (patchPoints.mapObjectOnScene.action === 'downgrade') Entry.container.getAllObjects().forEach(collect);
+        return codes;
+    }
+    
+    function runnableExecutors() {
+        const runnable = [];
+        sceneCodes().forEach(code => {
+            code.executors.forEach(executor => {
+                if (!executor.isEnd() && !isWaiting(executor)) runnable.push(executor);
+            });
+        });
+        return runnable;
+    }
+    
+    function stepTick() {
+        debugState.blockExecutor = null;
+        sceneCodes().forEach(code => code.tick());
+    }
+    
+    function nextStepExecutor() {
+        const runnable = runnableExecutors();
+        if (runnable.length === 0) return null;
+        const executor = runnable[debugState.cursor % runnable.length];
+        debugState.cursor = (debugState.cursor + 1) % runnable.length;
+        return executor;
+    }
+    
+    function runStepExecutor(executor) {
+        const { view } = executor.scope.block || {};
+        Entry.dispatchEvent('blockExecute', view);
+        const result = runExecutor(executor);
+        if (result && result.promises && result.promises.length > 0 && patchPoints.addPromiseExecutor.action === 'apply') {
+            Entry.engine.addPromiseExecutor(result.promises);
+        }
+    }
+    
+    function stepIteration() {
+        debugState.blockExecutor = null;
+        const executor = nextStepExecutor();
+        if (executor) runStepExecutor(executor);
+    }
+    
+    function stepBlock() {
+        let executor = debugState.blockExecutor;
+        if (!executor || executor.isEnd() || isWaiting(executor)) executor = nextStepExecutor();
+        debugState.blockExecutor = null;
+        if (!executor) return;
+        const blockPrototype = Entry.Block.prototype;
+        const getSchema = blockPrototype.getSchema;
+        let calls = 0;
+        blockPrototype.getSchema = function() {
+            const schema = getSchema.apply(this, arguments);
+            if (!schema || typeof schema.func !== 'function') return schema;
+            return Object.assign(Object.create(schema), {
+                func: function() {
+                    calls++;
+                    return calls > 1 ? Entry.STATIC.BREAK : schema.func.apply(this, arguments);
+                }
+            });
+        };
+        try {
+            runStepExecutor(executor);
+        } finally {
+            blockPrototype.getSchema = getSchema;
+        }
+        if (calls > 1 && !executor.isEnd()) debugState.blockExecutor = executor;
+    }
+    
+    function printStep(mode, executed, changes) {
+        console.log('⏭ 단계 #' + debugState.steps, '(' + mode + '): 실행', executed.length + '회');
+        if (executed.length > 0) {
+            console.table(executed.map(entry => {
+                const owner = describeExecutor(entry.executor);
+                return {
+                    오브젝트: owner.objectName,
+                    '실행한 블록': entry.block ? entry.block.id : null,
+                    '다음 블록': owner.blockId,
+                    종료: entry.executor.isEnd()
+                };
+            }));
+        }
+        if (changes.length > 0) {
+            console.table(changes.map(change => ({ 변수: change.name, 이전: change.before, 이후: change.after })));
+        }
+    }
+    
+    function handleDebugKey(event) {
+        const debug = window.EntryLimitConfig.debug;
+        if (event.key === 'F8') debugState.paused ? debug.resume() : debug.pause();
+        else if (event.key === 'F9') debug.step('tick');
+        else if (event.key === 'F10') debug.step(event.shiftKey ? 'block' : 'iteration');
+        else return;
+        event.preventDefault();
+    }
+    
+    const breakpoints = [];
+    let breakpointSeq = 0;
+    
+    function variableScope() {
+        const scope = { variables: {}, lists: {} };
+        const container = Entry.variableContainer;
+        if (container) {
+            (container.variables_ || []).forEach(variable => {
+                scope.variables[variableName(variable)] = variableValue(variable);
+            });
+            (container.lists_ || []).forEach(list => {
+                scope.lists[variableName(list)] = listItems(list);
+            });
+        }
+        return scope;
+    }
+    
+    function compileCondition(condition) {
+        if (typeof condition === 'function') return condition;
+        return new Function('variables', 'lists', 'with (lists) { with (variables) { return (' + condition + '); } }');
+    }
+    
+    function breakpointLabel(breakpoint) {
+        if (breakpoint.blockId === null) return breakpoint.condition;
+        return '블록 ' + breakpoint.blockId + (breakpoint.condition ? ' & ' + breakpoint.condition : '');
+    }
+    
+    function evaluateBreakpoint(breakpoint, scope) {
+        try {
+            return !!breakpoint.test(scope.variables, scope.lists);
+        } catch (e) {
+            if (!breakpoint.error) {
+                breakpoint.error = e;
+                console.warn('⚠️ 중단점 #' + breakpoint.id, '조건 오류:', e.message);
+            }
+            return false;
+        }
+    }
+    
+    function triggerBreakpoint(breakpoint, executor, block, iteration) {
+        const owner = describeExecutor(executor);
+        breakpoint.hits++;
+        debugState.paused = true;
+        debugState.breakHit = true;
+        debugState.lastHit = {
+            breakpointId: breakpoint.id,
+            label: breakpointLabel(breakpoint),
+            objectId: owner.objectId,
+            objectName: owner.objectName,
+            blockId: block ? block.id : null,
+            iteration: iteration,
+            frameIterations: frameState.iterations,
+            frame: window.EntryLimitConfig.stats.frames
+        };
+        console.warn('🔴 중단점 #' + breakpoint.id, '(' + breakpointLabel(breakpoint) + '):',
+            owner.objectName, '/ 블록', debugState.lastHit.blockId, '/ 이번 프레임 반복', iteration + '회 후');
+    }
+    
+    function checkBlockBreakpoints(executor, iteration) {
+        const block = executor.scope.block;
+        if (!block) return false;
+        const skip = debugState.skipBlock;
+        if (skip && skip.executor === executor && skip.blockId === block.id) {
+            debugState.skipBlock = null;
+            return false;
+        }
+        const breakpoint = breakpoints.find(item => item.blockId === block.id &&
+            (!item.test || evaluateBreakpoint(item, variableScope())));
+        if (!breakpoint) return false;
+        debugState.skipBlock = { executor: executor, blockId: block.id };
+        triggerBreakpoint(breakpoint, executor, block, iteration);
+        return true;
+    }
+    
+    function checkConditionBreakpoints(executor, iteration) {
+        let scope = null;
+        for (const breakpoint of breakpoints) {
+            if (breakpoint.blockId !== null) continue;
+            scope = scope || variableScope();
+            const result = evaluateBreakpoint(breakpoint, scope);
+            const rising = result && !breakpoint.lastResult;
+            breakpoint.lastResult = result;
+            if (rising) {
+                triggerBreakpoint(breakpoint, executor, debugState.lastBlock, iteration);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    function addBreakpoint(blockId, condition) {
+        let test = null;
+        if (condition !== undefined && condition !== null) {
+            try {
+                test = compileCondition(condition);
+            } catch (e) {
+                console.error('❌ 조건식을 해석할 수 없습니다:', condition, e.message);
+                return null;
+            }
+        }
+        const breakpoint = {
+            id: ++breakpointSeq,
+            blockId: blockId,
+            condition: test ? String(condition) : null,
+            test: test,
+            hits: 0,
+            lastResult: false,
+            error: null
+        };
+        breakpoints.push(breakpoint);
+        return breakpoint.id;
+    }
+    
+    const recorder = {
+        running: false,
+        watches: [],
+        buffer: [],
+        capacity: 10000,
+        next: 0,
+        dropped: 0,
+        frameStart: 0,
+        execution: 0
+    };
+    
+    function readWatchValue(watch) {
+        return watch.kind === 'list' ? JSON.stringify(listItems(watch.target)) : variableValue(watch.target);
+    }
+    
+    function resolveWatches(names) {
+        if (typeof names === 'string') names = [names];
+        const container = Entry.variableContainer || {};
+        const variables = (container.variables_ || []).map(target => ({ kind: 'variable', target: target }));
+        const lists = (container.lists_ || []).map(target => ({ kind: 'list', target: target }));
+        const candidates = variables.concat(lists);
+        const chosen = names === undefined
+            ? candidates
+            : candidates.filter(item => names.indexOf(variableName(item.target)) !== -1 || names.indexOf(item.target.id_) !== -1);
+        return chosen.map(item => Object.assign(item, { name: variableName(item.target), last: readWatchValue(item) }));
+    }
+    
+    function pushTrace(entry) {
+        if (recorder.buffer.length < recorder.capacity) {
+            recorder.buffer.push(entry);
+        } else {
+            recorder.buffer[recorder.next] = entry;
+            recorder.dropped++;
+        }
+        recorder.next = (recorder.next + 1) % recorder.capacity;
+    }
+    
+    function traceEntry(watch, owner, block, iteration) {
+        return {
+            tick: window.EntryLimitConfig.stats.frames,
+            iteration: iteration,
+            objectName: owner ? owner.objectName : null,
+            blockId: block ? block.id : null,
+            blockType: block ? block.type : null,
+            name: watch.name,
+            kind: watch.kind,
+            value: watch.last
+        };
+    }
+    
+    function recordTraceChanges(executor, block) {
+        if (recorder.frameStart !== frameState.start) {
+            recorder.frameStart = frameState.start;
+            recorder.execution = 0;
+        }
+        const iteration = recorder.execution++;
+        let owner = null;
+        for (const watch of recorder.watches) {
+            const value = readWatchValue(watch);
+            if (value !== watch.last) {
+                watch.last = value;
+                owner = owner || describeExecutor(executor);
+                pushTrace(traceEntry(watch, owner, block, iteration));
+            }
+        }
+    }
+    
+    function traceEntries() {
+        if (recorder.buffer.length < recorder.capacity) return recorder.buffer.slice();
+        return recorder.buffer.slice(recorder.next).concat(recorder.buffer.slice(0, recorder.next));
+    }
+    
+    function csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+    
+    const VIRTUAL_TIMER_BASE = 1e9;
+    const virtualClock = {
+        now: 0,
+        epoch: 0,
+        timers: new Map(),
+        seq: 0,
+        saved: null,
+        realClear: null,
+        handoff: new Map()
+    };
+    
+    const fastForward = {
+        running: false,
+        driving: false,
+        stopRequested: false,
+        restoreOnEnd: false
+    };
+    
+    function addVirtualTimer(fn, delay, args, repeat) {
+        const id = VIRTUAL_TIMER_BASE + ++virtualClock.seq;
+        const ms = Math.max(0, Number(delay) || 0);
+        virtualClock.timers.set(id, { at: virtualClock.now + ms, fn: fn, args: args, interval: repeat ? Math.max(1, ms) : null });
+        return id;
+    }
+    
+    function clearAnyTimer(id) {
+        if (virtualClock.timers.delete(id)) return;
+        if (virtualClock.handoff.has(id)) {
+            virtualClock.realClear.clearTimeout.call(window, virtualClock.handoff.get(id).realId);
+            virtualClock.handoff.delete(id);
+            restoreClearFunctions();
+            return;
+        }
+        virtualClock.realClear.clearTimeout.call(window, id);
+    }
+    
+    function installVirtualClock() {
+        const RealDate = Date;
+        virtualClock.saved = {
+            Date: RealDate,
+            performanceNow: performance.now,
+            setTimeout: window.setTimeout,
+            setInterval: window.setInterval
+        };
+        if (!virtualClock.realClear) {
+            virtualClock.realClear = { clearTimeout: window.clearTimeout, clearInterval: window.clearInterval };
+        }
+        virtualClock.now = virtualClock.saved.performanceNow.call(performance);
+        virtualClock.epoch = RealDate.now() - virtualClock.now;
+        
+        class VirtualDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) super(virtualClock.epoch + virtualClock.now);
+                else super(...args);
+            }
+            
+            static now() {
+                return Math.floor(virtualClock.epoch + virtualClock.now);
+            }
+        }
+        
+        window.Date = VirtualDate;
+        performance.now = () => virtualClock.now;
+        window.setTimeout = (fn, delay, ...args) => addVirtualTimer(fn, delay, args, false);
+        window.setInterval = (fn, delay, ...args) => addVirtualTimer(fn, delay, args, true);
+        window.clearTimeout = clearAnyTimer;
+        window.clearInterval = clearAnyTimer;
+        
+        virtualClock.handoff.forEach((entry, id) => {
+            virtualClock.realClear.clearTimeout.call(window, entry.realId);
+            entry.timer.at = Math.max(virtualClock.now, entry.due);
+            virtualClock.timers.set(id, entry.timer);
+        });
+        virtualClock.handoff.clear();
+    }
+    
+    function uninstallVirtualClock() {
+        const saved = virtualClock.saved;
+        window.Date = saved.Date;
+        performance.now = saved.performanceNow;
+        window.setTimeout = saved.setTimeout;
+        window.setInterval = saved.setInterval;
+        
+        timeScale.shifted = true;
+        applyTimeScale(timeScale.scale, virtualClock.now);
+        
+        const setEngineTimeout = window.setTimeout;
+        virtualClock.timers.forEach((timer, id) => {
+            const entry = { realId: null, timer: timer, due: timer.at };
+            const fire = () => {
+                if (timer.interval === null) {
+                    virtualClock.handoff.delete(id);
+                    restoreClearFunctions();
+                } else {
+                    entry.due = performance.now() + timer.interval;
+                    entry.realId = setEngineTimeout.call(window, fire, timer.interval);
+                }
+                if (typeof timer.fn === 'function') timer.fn.apply(window, timer.args);
+            };
+            entry.realId = setEngineTimeout.call(window, fire, timer.at - virtualClock.now);
+            virtualClock.handoff.set(id, entry);
+        });
+        virtualClock.timers.clear();
+        virtualClock.saved = null;
+        restoreClearFunctions();
+    }
+    
+    function restoreClearFunctions() {
+        if (virtualClock.handoff.size === 0 && !virtualClock.saved) {
+            window.clearTimeout = virtualClock.realClear.clearTimeout;
+            window.clearInterval = virtualClock.realClear.clearInterval;
+        }
+    }
+    
+    function advanceVirtualClock(ms) {
+        const target = virtualClock.now + ms;
+        while (true) {
+            let nextId = null;
+            let next = null;
+            virtualClock.timers.forEach((timer, id) => {
+                if (timer.at <= target && (!next || timer.at < next.at)) {
+                    next = timer;
+                    nextId = id;
+                }
+            });
+            if (!next) break;
+            virtualClock.now = Math.max(virtualClock.now, next.at);
+            if (next.interval === null) virtualClock.timers.delete(nextId);
+            else next.at += next.interval;
+            try {
+                if (typeof next.fn === 'function') next.fn.apply(window, next.args);
+            } catch (e) {
+                console.error('❌ 빨리 감기 중 타이머 오류:', e);
+            }
+        }
+        virtualClock.now = target;
+    }
+    
+    function runEngineFrame() {
+        if (Entry.engine && typeof Entry.engine.computeObjects === 'function') Entry.engine.computeObjects();
+        else sceneCodes().forEach(code => code.tick());
+        if (Entry.engine && typeof Entry.engine.updateProjectTimer === 'function') Entry.engine.updateProjectTimer();
+    }
+    
+    async function runFastForward(options) {
+        const settings = typeof options === 'number' ? { frames: options } : Object.assign({}, options);
+        const frames = settings.frames === undefined ? Infinity : settings.frames;
+        const maxFrames = settings.maxFrames === undefined ? 36000 : settings.maxFrames;
+        const until = settings.until === undefined ? null : compileCondition(settings.until);
+        const frameMs = Math.floor(1000 / (Entry.FPS || 60));
+        const realStart = realNow();
+        let lastYield = realStart;
+        let frame = 0;
+        let reason = frames <= maxFrames ? 'frames' : 'maxFrames';
+        
+        fastForward.running = true;
+        fastForward.stopRequested = false;
+        fastForward.restoreOnEnd = false;
+        installVirtualClock();
+        try {
+            while (frame < Math.min(frames, maxFrames)) {
+                if (fastForward.stopRequested) {
+                    reason = 'stopped';
+                    break;
+                }
+                if (debugState.breakHit) {
+                    reason = 'breakpoint';
+                    break;
+                }
+                if (until) {
+                    const scope = variableScope();
+                    if (until(scope.variables, scope.lists)) {
+                        reason = 'condition';
+                        break;
+                    }
+                }
+                
+                advanceVirtualClock(frameMs);
+                fastForward.driving = true;
+                try {
+                    runEngineFrame();
+                } finally {
+                    fastForward.driving = false;
+                }
+                frame++;
+                
+                await null;
+                if (realNow() - lastYield > 100) {
+                    await new Promise(resolve => virtualClock.saved.setTimeout.call(window, resolve, 0));
+                    lastYield = realNow();
+                }
+            }
+        } finally {
+            uninstallVirtualClock();
+            fastForward.running = false;
+            if (fastForward.restoreOnEnd) {
+                fastForward.restoreOnEnd = false;
+                restoreRealTiming();
+            }
+        }
+        return { frames: frame, virtualMs: frame * frameMs, realMs: realNow() - realStart, reason: reason };
+    }
+    
+    function isTickSuspended() {
+        if (fastForward.running && !fastForward.driving) return true;
+        return (debugState.paused && !debugState.stepping) || debugState.breakHit;
+    }
+    
+    const timeScale = {
+        scale: 1,
+        realStart: 0,
+        engineStart: 0,
+        epoch: 0,
+        shifted: false,
+        saved: null
+    };
+    
+    function scaledNow() {
+        return timeScale.engineStart + (realNow() - timeScale.realStart) * timeScale.scale;
+    }
+    
+    function installTimeScale() {
+        const RealDate = Date;
+        const saved = {
+            Date: RealDate,
+            performanceNow: performance.now,
+            setTimeout: window.setTimeout,
+            setInterval: window.setInterval
+        };
+        timeScale.saved = saved;
+        timeScale.epoch = RealDate.now() - realNow();
+        
+        class ScaledDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) super(timeScale.epoch + scaledNow());
+                else super(...args);
+            }
+            
+            static now() {
+                return Math.floor(timeScale.epoch + scaledNow());
+            }
+        }
+        
+        window.Date = ScaledDate;
+        performance.now = scaledNow;
+        window.setTimeout = (fn, delay, ...args) =>
+            saved.setTimeout.call(window, fn, (Number(delay) || 0) / timeScale.scale, ...args);
+        window.setInterval = (fn, delay, ...args) =>
+            saved.setInterval.call(window, fn, (Number(delay) || 0) / timeScale.scale, ...args);
+    }
+    
+    function uninstallTimeScale() {
+        const saved = timeScale.saved;
+        window.Date = saved.Date;
+        performance.now = saved.performanceNow;
+        window.setTimeout = saved.setTimeout;
+        window.setInterval = saved.setInterval;
+        timeScale.saved = null;
+    }
+    
+    function applyTimeScale(scale, engineNow) {
+        if (engineNow === undefined) engineNow = timeScale.saved ? scaledNow() : realNow();
+        timeScale.engineStart = engineNow;
+        timeScale.realStart = realNow();
+        timeScale.scale = scale;
+        const offset = engineNow - timeScale.realStart;
+        if (timeScale.saved && (offset > 0 || offset <= -1)) timeScale.shifted = true;
+        const needed = scale !== 1 || timeScale.shifted;
+        if (needed && !timeScale.saved) installTimeScale();
+        else if (!needed && timeScale.saved) uninstallTimeScale();
+    }
+    
+    function engineTickInterval() {
+        return Math.max(1, Math.floor(1000 / (Entry.FPS || 60) / timeScale.scale));
+    }
+    
+    function restartEngineTicker() {
+        const engine = Entry.engine;
+        if (!engine || !engine.ticker || typeof engine.update !== 'function') return false;
+        const realSetInterval = timeScale.saved ? timeScale.saved.setInterval : window.setInterval;
+        clearInterval(engine.ticker);
+        engine.ticker = realSetInterval.call(window, () => engine.update(), engineTickInterval());
+        return true;
+    }
+    
+    function restoreRealTiming() {
+        const engineNow = performance.now();
+        const pending = Array.from(virtualClock.handoff.values());
+        pending.forEach(entry => virtualClock.realClear.clearTimeout.call(window, entry.realId));
+        virtualClock.handoff.clear();
+        const scaled = timeScale.saved !== null;
+        if (scaled) uninstallTimeScale();
+        timeScale.scale = 1;
+        timeScale.shifted = false;
+        pending.forEach(entry => {
+            const timer = entry.timer;
+            const run = () => {
+                if (typeof timer.fn === 'function') timer.fn.apply(window, timer.args);
+            };
+            const delay = Math.max(0, entry.due - engineNow);
+            if (timer.interval === null) {
+                window.setTimeout(run, delay);
+            } else {
+                window.setTimeout(() => {
+                    window.setInterval(run, timer.interval);
+                    run();
+                }, delay);
+            }
+        });
+        if (virtualClock.realClear) restoreClearFunctions();
+        if (scaled) restartEngineTicker();
+    }
+    
+    const stalledExecutors = [];
+    let stalledSeq = 0;
+    
+    function describeExecutor(executor) {
+        const block = executor.scope && executor.scope.block;
+        const object = executor.entity && executor.entity.parent;
+        return {
+            objectId: object ? object.id : null,
+            objectName: object ? object.name : null,
+            blockId: block ? block.id : null
+        };
+    }
+    
+    function isTickStalled(config, tickStart) {
+        return config.watchdogMs !== null && realNow() - tickStart > config.watchdogMs;
+    }
+    
+    function stallExecutors(code, loopExecutor, elapsed) {
+        let count = 0;
+        for (const executor of loopExecutor) {
+            if (executor.isEnd() || isWaiting(executor)) continue;
+            const index = code.executors.indexOf(executor);
+            if (index !== -1) code.executors.splice(index, 1);
+            stalledExecutors.push(Object.assign({
+                id: ++stalledSeq,
+                executor: executor,
+                code: code,
+                elapsed: Math.round(elapsed)
+            }, describeExecutor(executor)));
+            count++;
+        }
+        loopExecutor.length = 0;
+        console.warn('⚠️ 워치독: tick이', Math.round(elapsed) + 'ms 동안 끝나지 않아 실행자', count + '개를 멈췄습니다.');
+    }
+    
+    function takeStalled(target) {
+        const index = stalledExecutors.findIndex(entry => entry.id === target || entry.executor === target);
+        return index === -1 ? null : stalledExecutors.splice(index, 1)[0];
+    }
+    
+    const WRAP_SLICE_MS = 8;
+    const wrapState = {
+        loopExecutions: 0,
+        sampleTime: 0,
+        sampleIterations: 0,
+        calling: false,
+        frameBase: 0
+    };
+    
+    const holdPause = () => true;
+    function callOriginalTick(code, originalTick, loopOnly) {
+        const savedTickTime = Entry.tickTime;
+        const held = loopOnly
+            ? code.executors.filter(executor => !executor.isLooped && !Object.prototype.hasOwnProperty.call(executor, 'isPause'))
+            : [];
+        held.forEach(executor => { executor.isPause = holdPause; });
+        wrapState.calling = true;
+        try {
+            originalTick.call(code);
+        } finally {
+            wrapState.calling = false;
+            Entry.tickTime = savedTickTime;
+            held.forEach(executor => { delete executor.isPause; });
+        }
+    }
+    
+    function wrapIterations() {
+        return wrapState.loopExecutions - wrapState.frameBase;
+    }
+    
+    function msPerIteration() {
+        return wrapState.sampleIterations > 0 ? wrapState.sampleTime / wrapState.sampleIterations : 0;
+    }
+    
+    function wrapWindow(config, remaining, tickStart, loopExecutors) {
+        if (loopExecutors.every(executor => executor.isEnd() || isWaiting(executor))) return 0;
+        const now = realNow();
+        let windowMs = Math.min(remaining * msPerIteration(), WRAP_SLICE_MS);
+        if (config.timeBudget !== null) windowMs = Math.min(windowMs, config.timeBudget - (now - frameState.start));
+        if (config.watchdogMs !== null) windowMs = Math.min(windowMs, config.watchdogMs - (now - tickStart));
+        return Math.max(0, windowMs);
+    }
+    
+    function isWrapTimeUp(config, tickStart) {
+        const now = realNow();
+        if (config.timeBudget !== null && now - frameState.start >= config.timeBudget) return true;
+        return config.watchdogMs !== null && now - tickStart >= config.watchdogMs;
+    }
+    
+    const tickStrategies = {};
+    
+    const PATCH_ACTIONS = {
+        apply: '적용',
+        downgrade: '축소 적용',
+        skip: '건너뜀'
+    };
+    
+    function sourceMentions(fn, names) {
+        let source = '';
+        try {
+            source = Function.prototype.toString.call(fn);
+        } catch (e) {
+            return false;
+        }
+        return names.every(name => source.indexOf(name) !== -1);
+    }
+    
+    function patchPoint(label, status, action, detail) {
+        return { label: label, status: status, action: action, detail: detail || '' };
+    }
+    
+    function probePatchPoints() {
+        const points = {};
+        
+        const tick = Entry.Code && Entry.Code.prototype && Entry.Code.prototype.tick;
+        if (typeof tick !== 'function') {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'missing', 'skip', 'tick이 없습니다.');
+        } else if (tick.length !== 0 || !sourceMentions(tick, ['executors'])) {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'warn', 'downgrade', '원본 tick의 모양이 달라 래핑 전략만 씁니다.');
+        } else {
+            points.codeTick = patchPoint('Entry.Code.prototype.tick', 'ok', 'apply');
+        }
+        
+        const executorProto = Entry.Executor && Entry.Executor.prototype;
+        if (!executorProto) {
+            points.executorApi = patchPoint('Entry.Executor', 'warn', 'downgrade', '노출되지 않아 함수 호출 깊이를 Entry 카운터로만 셉니다.');
+        } else {
+            const missing = ['isPause', 'isEnd', 'execute'].filter(name => typeof executorProto[name] !== 'function');
+            points.executorApi = missing.length
+                ? patchPoint('Entry.Executor', 'missing', 'skip', missing.join(', ') + ' 없음')
+                : patchPoint('Entry.Executor', 'ok', 'apply');
+        }
+        
+        points.isLooped = typeof tick === 'function' && sourceMentions(tick, ['isLooped'])
+            ? patchPoint('executor.isLooped', 'ok', 'apply')
+            : patchPoint('executor.isLooped', 'warn', 'downgrade', '원본이 isLooped를 쓰지 않아 반복문 가속이 안 될 수 있습니다.');
+        
+        points.watchEvent = Entry.Event && Entry.Event.prototype && typeof Entry.Event.prototype.hasListeners === 'function'
+            ? patchPoint('watchEvent.hasListeners', 'ok', 'apply')
+            : patchPoint('watchEvent.hasListeners', 'warn', 'downgrade', '인스턴스에 없으면 감시 알림을 생략합니다.');
+        
+        points.addPromiseExecutor = Entry.engine && typeof Entry.engine.addPromiseExecutor === 'function'
+            ? patchPoint('Entry.engine.addPromiseExecutor', 'ok', 'apply')
+            : patchPoint('Entry.engine.addPromiseExecutor', 'missing', 'downgrade', '비동기 블록의 Promise를 엔진에 등록하지 않습니다.');
+        
+        const descriptor = Object.getOwnPropertyDescriptor(Entry, 'callStackLength');
+        points.callStackLength = descriptor && descriptor.configurable === false
+            ? patchPoint('Entry.callStackLength', 'warn', 'skip', '재정의할 수 없는 속성입니다.')
+            : patchPoint('Entry.callStackLength', 'ok', 'apply');
+        
+        const toggleSpeedPanel = Entry.engine && Entry.engine.toggleSpeedPanel;
+        const setSpeedMeter = Entry.engine && Entry.engine.setSpeedMeter;
+        if (typeof toggleSpeedPanel !== 'function' || typeof setSpeedMeter !== 'function') {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'missing', 'downgrade', '터보 단계는 setTurboLevel()로만 바꿉니다.');
+        } else if (toggleSpeedPanel.length !== 0 || !sourceMentions(toggleSpeedPanel, ['speedProgress_']) || setSpeedMeter.length !== 1) {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'warn', 'downgrade', '모양이 달라 터보 단계는 setTurboLevel()로만 바꿉니다.');
+        } else {
+            points.speedControl = patchPoint('Entry.engine.setSpeedMeter / toggleSpeedPanel', 'ok', 'apply');
+        }
+        
+        const container = Entry.container;
+        const canListAll = !!container && typeof container.getAllObjects === 'function';
+        if (!container || typeof container.mapObjectOnScene !== 'function') {
+            points.mapObjectOnScene = patchPoint('Entry.container.mapObjectOnScene', 'missing', canListAll ? 'downgrade' : 'skip', canListAll ? '단계 실행이 모든 오브젝트를 돕니다.' : '단계 실행에서 돌릴 오브젝트가 없습니다.');
+        } else if (container.mapObjectOnScene.length !== 1) {
+            points.mapObjectOnScene = patchPoint('Entry.container.mapObjectOnScene', 'warn', canListAll ? 'downgrade' : 'skip', canListAll ? '모양이 달라 단계 실행이 모든 오브젝트를 돕니다.' : '모양이 달라 단계 실행에서 돌릴 오브젝트가 없습니다.');
+        } else {
+            points.mapObjectOnScene = patchPoint('Entry.container.mapObjectOnScene', 'ok', 'apply');
+        }
+        
+        const blockPrototype = Entry.Block && Entry.Block.prototype;
+        if (!blockPrototype || typeof blockPrototype.getSchema !== 'function' || !Entry.STATIC || Entry.STATIC.BREAK === undefined) {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'missing', 'skip', '블록 단위 단계를 쓸 수 없습니다.');
+        } else if (!executorProto || typeof executorProto.execute !== 'function' || !sourceMentions(executorProto.execute, ['getSchema', 'BREAK'])) {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'warn', 'skip', 'execute 구현이 달라 블록 단위 단계를 쓸 수 없습니다.');
+        } else {
+            points.blockStep = patchPoint('Entry.Block.prototype.getSchema / Entry.STATIC.BREAK', 'ok', 'apply');
+        }
+        
+        return points;
+    }
+    
+    const patchPoints = probePatchPoints();
+    window.EntryLimitConfig.compat = patchPoints;
+    
     Entry.tickTime = 999999;
     
-    if (Entry.Code && Entry.Code.prototype && Entry.Code.prototype.tick) {
+    const canCopyTick = patchPoints.codeTick.action === 'apply' && patchPoints.executorApi.action !== 'skip';
+    if (patchPoints.codeTick.action !== 'skip') {
         window.EntryLimitConfig.originalMethods.tick = Entry.Code.prototype.tick;
         
-        Entry.Code.prototype.tick = function() {
+        tickStrategies.copy = function() {
+            if (isTickSuspended()) return;
             const config = window.EntryLimitConfig;
+            const tickStart = realNow();
+            beginFrame(this);
+            const tick = startTickHooks(this, tickStart);
+            let limitReached = false;
             
             if (Entry.isTurbo && !this.isUpdateTime) {
                 this.isUpdateTime = performance.now();
@@ -28,29 +1255,39 @@ script.textContent = `
             
             const executors = this.executors;
             const watchEvent = this.watchEvent;
-            const shouldNotifyWatch = watchEvent.hasListeners();
+            const shouldNotifyWatch = shouldNotifyWatchFor(config, this);
             let result;
-            let executedBlocks = [];
+            const executedBlocks = new Set();
+            const promises = new Set();
             const loopExecutor = [];
             
+            const eventPolicy = parseExecuteEventPolicy(config.executeEventPolicy) || { type: 'every', interval: 1 };
             const _executeEvent = _.partial(Entry.dispatchEvent, 'blockExecute');
-            const _executeEndEvent = _.partial(Entry.dispatchEvent, 'blockExecuteEnd');
+            let executeEndDispatched = false;
+            const _executeEndEvent = board => {
+                if (eventPolicy.type === 'off' || (eventPolicy.type !== 'every' && executeEndDispatched)) return;
+                executeEndDispatched = true;
+                Entry.dispatchEvent('blockExecuteEnd', board);
+            };
             
             for (let i = 0; i < executors.length; i++) {
                 const executor = executors[i];
                 if (executor.isPause()) {
                     continue;
                 } else if (!executor.isEnd()) {
-                    const { view } = executor.scope.block || {};
-                    _executeEvent(view);
-                    result = executor.execute(true);
+                    rememberStartBlock(executor);
+                    if (breakpoints.length > 0 && checkBlockBreakpoints(executor, 0)) break;
+                    if (shouldDispatchExecute(eventPolicy, executor)) {
+                        const { view } = executor.scope.block || {};
+                        _executeEvent(view);
+                    }
+                    result = runExecutor(executor);
+                    collectPromises(promises, executor, result);
                     if (executor.isLooped) {
                         loopExecutor.push(executor);
                     }
-                    if (shouldNotifyWatch) {
-                        const { blocks } = result;
-                        executedBlocks = executedBlocks.concat(blocks);
-                    }
+                    if (shouldNotifyWatch) collectWatchBlocks(executedBlocks, result.blocks, config.watchBlockLimit);
+                    if (breakpoints.length > 0 && checkConditionBreakpoints(executor, 0)) break;
                 } else if (executor.isEnd()) {
                     _executeEndEvent(this.board);
                     executors.splice(i--, 1);
@@ -60,71 +1297,1354 @@ script.textContent = `
                 }
             }
             
-            if (Entry.isTurbo && loopExecutor.length > 0) {
-                let executionCount = 0;
-                const maxExecutions = config.loopExecutionsPerFrame;
+            if (Entry.isTurbo && loopExecutor.length > 0 && !debugState.breakHit) {
+                const quota = createLoopQuota(config, loopExecutor);
+                let sweepProgress = false;
                 
                 for (let i = 0; i < loopExecutor.length; i++) {
                     const executor = loopExecutor[i];
-                    if (executor.isPause()) {
-                        continue;
+                    if (isWaiting(executor)) {
+                        // 대기 중: 바퀴 끝 검사로 넘어간다
                     } else if (!executor.isEnd()) {
-                        const { view } = executor.scope.block || {};
-                        _executeEvent(view);
-                        result = executor.execute(true);
-                        executionCount++;
-                        
-                        if (shouldNotifyWatch) {
-                            const { blocks } = result;
-                            executedBlocks = executedBlocks.concat(blocks);
+                        let turns = takeSweepTurns(quota, executor);
+                        while (turns-- > 0 && canRunLoopTurn(quota, executor) &&
+                               !isWaiting(executor) && !executor.isEnd()) {
+                            if (breakpoints.length > 0 &&
+                                checkBlockBreakpoints(executor, quota.entries.get(executor).turns)) break;
+                            if (shouldDispatchExecute(eventPolicy, executor)) {
+                                const { view } = executor.scope.block || {};
+                                _executeEvent(view);
+                            }
+                            result = runExecutor(executor);
+                            collectPromises(promises, executor, result);
+                            useLoopQuota(quota, executor);
+                            frameState.iterations++;
+                            sweepProgress = true;
+                            
+                            if (shouldNotifyWatch) collectWatchBlocks(executedBlocks, result.blocks, config.watchBlockLimit);
+                            if (breakpoints.length > 0 &&
+                                checkConditionBreakpoints(executor, quota.entries.get(executor).turns)) break;
                         }
                     } else if (executor.isEnd()) {
                         _executeEndEvent(this.board);
                         loopExecutor.splice(i--, 1);
+                        sweepProgress = true;
                         if (_.isEmpty(loopExecutor)) {
                             this.executeEndEvent.notify();
                         }
                     }
                     
+                    if (debugState.breakHit) break;
                     if (i === loopExecutor.length - 1) {
-                        if (config.unlimitedMode || maxExecutions === Infinity) {
-                            i = -1;
-                        } else if (executionCount < maxExecutions) {
+                        if (isTickStalled(config, tickStart)) {
+                            stallExecutors(this, loopExecutor, realNow() - tickStart);
+                            break;
+                        }
+                        if (!sweepProgress) {
+                            config.stats.idleSweepExits++;
+                            break;
+                        }
+                        if (shouldContinueLoop(config, quota, loopExecutor)) {
+                            sweepProgress = false;
                             i = -1;
+                        } else {
+                            limitReached = loopExecutor.some(executor => !executor.isEnd());
                         }
                     }
                 }
+                
+                recordLoopTurns(quota);
+            }
+            
+            this.isUpdateTime = 0;
+            if (shouldNotifyWatch) {
+                watchNotifiedFrames.set(this, frameState.start);
+                watchEvent.notify(Array.from(executedBlocks));
+            }
+            if (promises.size > 0 && patchPoints.addPromiseExecutor.action === 'apply') {
+                Entry.engine.addPromiseExecutor(Array.from(promises));
+            }
+            finishTickHooks(this, tick, limitReached);
+        };
+        
+        tickStrategies.wrap = function() {
+            if (isTickSuspended()) return;
+            const config = window.EntryLimitConfig;
+            const originalTick = config.originalMethods.tick;
+            const tickStart = realNow();
+            beginFrame(this);
+            wrapState.frameBase = wrapState.loopExecutions - frameState.iterations;
+            const tick = startTickHooks(this, tickStart);
+            if (!Entry.isTurbo) {
+                callOriginalTick(this, originalTick);
+                finishTickHooks(this, tick, false);
+                return;
+            }
+            
+            const savedTickTime = Entry.tickTime;
+            const savedTurbo = Entry.isTurbo;
+            const limit = sharedLoopLimit(config);
+            let iterations = 0;
+            let limitReached = false;
+            let calls = 0;
+            
+            try {
+                while (true) {
+                    const before = wrapState.loopExecutions;
+                    const callStart = performance.now();
+                    const loopExecutors = this.executors.filter(executor => executor.isLooped);
+                    Entry.isTurbo = true;
+                    Entry.tickTime = wrapWindow(config, limit - iterations, tickStart, loopExecutors);
+                    this.isUpdateTime = callStart;
+                    callOriginalTick(this, originalTick, calls++ > 0);
+                    
+                    const ran = wrapState.loopExecutions - before;
+                    if (debugState.breakHit) {
+                        iterations += ran;
+                        break;
+                    }
+                    wrapState.sampleTime = wrapState.sampleTime * 0.9 + (performance.now() - callStart);
+                    wrapState.sampleIterations = wrapState.sampleIterations * 0.9 + ran;
+                    iterations += ran;
+                    if (isTickStalled(config, tickStart)) {
+                        stallExecutors(this, this.executors.filter(executor => executor.isLooped), realNow() - tickStart);
+                        break;
+                    }
+                    if (ran === 0) break;
+                    if (iterations >= limit || isWrapTimeUp(config, tickStart)) {
+                        limitReached = true;
+                        break;
+                    }
+                }
+            } finally {
+                Entry.tickTime = savedTickTime;
+                Entry.isTurbo = savedTurbo;
+                this.isUpdateTime = 0;
+                frameState.iterations += iterations;
+            }
+            finishTickHooks(this, tick, limitReached);
+        };
+        
+        if (!canCopyTick) window.EntryLimitConfig.tickStrategy = 'wrap';
+        Entry.Code.prototype.tick = tickStrategies[window.EntryLimitConfig.tickStrategy];
+        window.EntryLimitConfig.isActive = true;
+    }
+    
+    class CallDepthError extends RangeError {
+        constructor(info, depth, limit) {
+            super('함수 "' + info.functionName + '" 호출 깊이가 제한(' + limit + ')을 넘었습니다. (깊이 ' + depth + ')');
+            this.name = 'CallDepthError';
+            this.functionId = info.functionId;
+            this.functionName = info.functionName;
+            this.blockId = info.blockId;
+            this.depth = depth;
+            this.limit = limit;
+        }
+    }
+    window.EntryLimitConfig.CallDepthError = CallDepthError;
+    
+    const callDepth = {
+        counter: 0,
+        current: 0,
+        stack: [],
+        tracked: false
+    };
+    
+    function describeFunctionBlock(block) {
+        const type = block && typeof block.type === 'string' ? block.type : '';
+        const functionId = type.indexOf('func_') === 0 ? type.substr(5) : null;
+        let functionName = functionId || '알 수 없는 함수';
+        if (functionId && Entry.variableContainer && Entry.variableContainer.getFunction) {
+            const func = Entry.variableContainer.getFunction(functionId);
+            if (func && (func.name || func.description)) functionName = func.name || func.description;
+        }
+        return { functionId: functionId, functionName: functionName, blockId: block ? block.id : null };
+    }
+    
+    function createCallDepthError(depth) {
+        const executor = callDepth.stack[callDepth.stack.length - 1];
+        const block = executor && executor.scope ? executor.scope.block : null;
+        const error = new CallDepthError(describeFunctionBlock(block), depth, window.EntryLimitConfig.maxCallDepth);
+        window.EntryLimitConfig.stats.lastCallDepthError = error;
+        return error;
+    }
+    
+    function isNativeStackOverflow(error) {
+        if (!error || error instanceof CallDepthError) return false;
+        const message = String(error.message);
+        return message.indexOf('call stack') !== -1 || message.indexOf('too much recursion') !== -1;
+    }
+    
+    const errorLog = {
+        entries: [],
+        limit: 100,
+        seq: 0,
+        depth: 0,
+        failedBlock: null,
+        handler: null
+    };
+    
+    function recordExecutorError(executor, block, error) {
+        const object = executor.entity && executor.entity.parent;
+        const entry = {
+            id: ++errorLog.seq,
+            frame: window.EntryLimitConfig.stats.frames,
+            name: (error && error.name) || 'Error',
+            message: error && error.message !== undefined ? String(error.message) : String(error),
+            stack: (error && error.stack) || null,
+            error: error,
+            objectId: object ? object.id : null,
+            objectName: object ? object.name : null,
+            blockId: block ? block.id : null,
+            blockType: block ? block.type : null,
+            executor: executor
+        };
+        errorLog.entries.push(entry);
+        if (errorLog.entries.length > errorLog.limit) errorLog.entries.shift();
+        console.warn('⚠️ 실행 오류로 실행자를 멈췄습니다:', (entry.objectName || '알 수 없는 오브젝트') + ',',
+            (entry.blockType || '알 수 없는 블록') + ' -', entry.message);
+        if (errorLog.handler) {
+            try {
+                errorLog.handler(entry);
+            } catch (e) {
+                console.error('❌ onError 콜백 오류:', e);
+            }
+        }
+        return entry;
+    }
+    
+    function isolateExecutorError(executor, startBlock, error) {
+        const block = errorLog.failedBlock || (executor.scope && executor.scope.block) || startBlock;
+        errorLog.failedBlock = null;
+        recordExecutorError(executor, block, error);
+        if (typeof executor.end === 'function') executor.end();
+        return { promises: [], blocks: [] };
+    }
+    
+    if (Entry.Executor && Entry.Executor.prototype && Entry.Executor.prototype.execute) {
+        window.EntryLimitConfig.originalMethods.executorExecute = Entry.Executor.prototype.execute;
+        const originalExecute = Entry.Executor.prototype.execute;
+        
+        Entry.Executor.prototype.execute = function(isFromOrigin) {
+            const isFunction = !!this.isFuncExecutor;
+            const isolated = !!isFromOrigin && window.EntryLimitConfig.isolateErrors;
+            const startBlock = this.scope ? this.scope.block : null;
+            const observed = !!isFromOrigin && wrapState.calling;
+            if (observed && (debugState.breakHit || (breakpoints.length > 0 && checkBlockBreakpoints(this, wrapIterations())))) {
+                Entry.tickTime = 0;
+                return { promises: [], blocks: [] };
+            }
+            const observedStart = observed ? beginExecution(this, startBlock) : null;
+            if (isFunction) callDepth.current++;
+            if (isolated) {
+                errorLog.depth++;
+                errorLog.failedBlock = null;
+            }
+            callDepth.stack.push(this);
+            try {
+                const result = originalExecute.call(this, isFromOrigin);
+                if (isFromOrigin && this.isLooped) wrapState.loopExecutions++;
+                if (observed && breakpoints.length > 0 && checkConditionBreakpoints(this, wrapIterations())) Entry.tickTime = 0;
+                return result;
+            } catch (e) {
+                const error = isNativeStackOverflow(e) ? createCallDepthError(callDepth.current) : e;
+                if (isolated) return isolateExecutorError(this, startBlock, error);
+                throw error;
+            } finally {
+                callDepth.stack.pop();
+                if (isFunction) callDepth.current--;
+                if (isolated) errorLog.depth--;
+                if (observed) endExecution(this, startBlock, observedStart);
+            }
+        };
+        callDepth.tracked = true;
+    }
+    
+    if (Entry.Utils && typeof Entry.Utils.stopProjectWithToast === 'function') {
+        const originalStop = Entry.Utils.stopProjectWithToast;
+        window.EntryLimitConfig.originalMethods.stopProjectWithToast = originalStop;
+        Entry.Utils.stopProjectWithToast = function(scope, message, error) {
+            if (errorLog.depth > 0) {
+                errorLog.failedBlock = (scope && scope.block) || null;
+                throw error || new Error(message || '실행 오류');
+            }
+            return originalStop.apply(this, arguments);
+        };
+    }
+    
+    if (Entry.Executor && typeof Entry.Executor.MAXIMUM_CALLSTACK === 'number') {
+        window.EntryLimitConfig.originalMethods.maximumCallStack = Entry.Executor.MAXIMUM_CALLSTACK;
+        Entry.Executor.MAXIMUM_CALLSTACK = Infinity;
+    }
+    
+    if (patchPoints.callStackLength.action !== 'skip') {
+        try {
+            callDepth.counter = Entry.callStackLength || 0;
+            Object.defineProperty(Entry, 'callStackLength', {
+                get: () => callDepth.counter,
+                set: (value) => {
+                    if (value > callDepth.counter) {
+                        const depth = callDepth.tracked ? callDepth.current + 1 : value;
+                        if (depth > window.EntryLimitConfig.maxCallDepth) throw createCallDepthError(depth);
+                    }
+                    callDepth.counter = value;
+                },
+                configurable: true
+            });
+        } catch (e) {}
+    }
+    
+    const SETTINGS_VERSION = 1;
+    const PERSISTED_SETTINGS = [
+        'loopExecutionsPerFrame',
+        'unlimitedMode',
+        'timeBudget',
+        'timeBudgetMaxIterations',
+        'loopRules',
+        'loopWeights',
+        'minTurnsPerFrame'
+    ];
+    const persistence = {
+        enabled: false,
+        lastError: null
+    };
+    
+    function projectKey() {
+        if (Entry.projectId) return String(Entry.projectId);
+        if (typeof location !== 'undefined' && location.pathname) return location.pathname;
+        return 'default';
+    }
+    
+    function settingsStorageKey() {
+        return 'EntryLimitConfig:' + projectKey();
+    }
+    
+    function encodeSetting(key, value) {
+        return value === Infinity ? 'Infinity' : value;
+    }
+    
+    function decodeSetting(key, value) {
+        return value === 'Infinity' ? Infinity : value;
+    }
+    
+    function snapshotSettings(config) {
+        const settings = {};
+        PERSISTED_SETTINGS.forEach(key => {
+            settings[key] = config[key];
+        });
+        return JSON.stringify({ version: SETTINGS_VERSION, settings: settings }, encodeSetting);
+    }
+    
+    function isSettingMap(key, value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            Object.keys(value).every(name => isAllowedSetting(key, value[name]));
+    }
+    
+    const SETTING_CHECKS = {
+        loopExecutionsPerFrame: value => isAllowedSetting('loopLimit', value),
+        unlimitedMode: value => isAllowedSetting('unlimited', value),
+        timeBudget: value => isAllowedSetting('timeBudget', value),
+        timeBudgetMaxIterations: value => isAllowedSetting('timeBudgetMaxIterations', value),
+        loopRules: value => isSettingMap('loopRule', value),
+        loopWeights: value => isSettingMap('loopWeight', value),
+        minTurnsPerFrame: value => isAllowedSetting('minTurns', value)
+    };
+    
+    function parseSettings(json) {
+        const data = typeof json === 'string' ? JSON.parse(json, decodeSetting) : JSON.parse(JSON.stringify(json, encodeSetting), decodeSetting);
+        const settings = data && data.settings ? data.settings : data;
+        if (!settings || typeof settings !== 'object') throw new Error('설정 객체가 없습니다.');
+        const parsed = {};
+        PERSISTED_SETTINGS.forEach(key => {
+            if (settings[key] === undefined) return;
+            if (!SETTING_CHECKS[key](settings[key])) {
+                throw new Error(key + ' 값이 잘못되었습니다: ' + JSON.stringify(settings[key], encodeSetting));
+            }
+            parsed[key] = settings[key];
+        });
+        return parsed;
+    }
+    
+    function persistSettings(config) {
+        if (!persistence.enabled) return;
+        try {
+            localStorage.setItem(settingsStorageKey(), snapshotSettings(config));
+            persistence.lastError = null;
+        } catch (e) {
+            persistence.lastError = e;
+            console.warn('⚠️ 설정을 저장하지 못했습니다:', e.message);
+        }
+    }
+    
+    function restoreSettings(config) {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(settingsStorageKey());
+        } catch (e) {
+            persistence.lastError = e;
+            return false;
+        }
+        if (saved === null) return false;
+        try {
+            Object.assign(config, parseSettings(saved));
+        } catch (e) {
+            persistence.lastError = e;
+            console.warn('⚠️ 저장된 설정을 읽지 못했습니다:', e.message);
+            return false;
+        }
+        return true;
+    }
+    
+    const PANEL_SLIDER_MAX = 60;
+    const panelTimers = { setInterval: window.setInterval, clearInterval: window.clearInterval };
+    const panel = {
+        root: null,
+        body: null,
+        slider: null,
+        limitLabel: null,
+        unlimited: null,
+        readout: null,
+        collapseButton: null,
+        collapsed: false,
+        sliding: false,
+        timer: null,
+        drag: null
+    };
+    
+    function sliderToLimit(value) {
+        return Math.round(Number(Math.pow(10, value / 10).toPrecision(2)));
+    }
+    
+    function limitToSlider(limit) {
+        return Math.min(PANEL_SLIDER_MAX, Math.max(0, Math.round(Math.log10(Math.max(1, limit)) * 10)));
+    }
+    
+    function formatCount(count) {
+        return Math.round(count).toLocaleString();
+    }
+    
+    function panelElement(tag, style, text) {
+        const element = document.createElement(tag);
+        element.style.cssText = style;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+    
+    function findStageElement() {
+        const stage = Entry.stage;
+        if (stage && stage.canvas && stage.canvas.canvas) return stage.canvas.canvas;
+        if (stage && stage._app && stage._app.view) return stage._app.view;
+        return document.getElementById ? document.getElementById('entryCanvas') : null;
+    }
+    
+    function placePanel() {
+        const stage = findStageElement();
+        const width = 220;
+        let left = window.innerWidth - width - 16;
+        let top = 16;
+        if (stage && stage.getBoundingClientRect) {
+            const rect = stage.getBoundingClientRect();
+            if (rect.width > 0) {
+                left = Math.min(rect.right + 8, window.innerWidth - width - 8);
+                top = Math.max(8, rect.top);
+            }
+        }
+        panel.root.style.left = Math.max(0, left) + 'px';
+        panel.root.style.top = top + 'px';
+    }
+    
+    function startPanelDrag(event) {
+        if (event.target === panel.collapseButton) return;
+        const rect = panel.root.getBoundingClientRect();
+        panel.drag = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        document.addEventListener('mousemove', movePanelDrag);
+        document.addEventListener('mouseup', endPanelDrag);
+        event.preventDefault();
+    }
+    
+    function movePanelDrag(event) {
+        if (!panel.drag) return;
+        panel.root.style.left = Math.max(0, event.clientX - panel.drag.x) + 'px';
+        panel.root.style.top = Math.max(0, event.clientY - panel.drag.y) + 'px';
+    }
+    
+    function endPanelDrag() {
+        panel.drag = null;
+        document.removeEventListener('mousemove', movePanelDrag);
+        document.removeEventListener('mouseup', endPanelDrag);
+    }
+    
+    function setPanelCollapsed(collapsed) {
+        panel.collapsed = collapsed;
+        panel.body.style.display = collapsed ? 'none' : 'block';
+        panel.collapseButton.textContent = collapsed ? '+' : '−';
+    }
+    
+    function createPanel() {
+        const config = window.EntryLimitConfig;
+        const root = panelElement('div', 'position:fixed;z-index:10000;width:220px;font:12px sans-serif;color:#333;' +
+            'background:#fff;border:1px solid #c8d2e6;border-radius:8px;box-shadow:0 2px 8px rgba(0,0,0,.2);user-select:none;');
+        root.id = 'entry-limit-panel';
+        
+        const header = panelElement('div', 'display:flex;justify-content:space-between;align-items:center;padding:6px 8px;' +
+            'cursor:move;background:#4f80ff;color:#fff;border-radius:7px 7px 0 0;font-weight:bold;', '⚡ 반복 실행 제한');
+        const collapseButton = panelElement('button', 'border:none;background:transparent;color:#fff;font-size:14px;cursor:pointer;padding:0 4px;', '−');
+        collapseButton.title = '접기/펴기';
+        collapseButton.addEventListener('click', () => setPanelCollapsed(!panel.collapsed));
+        header.appendChild(collapseButton);
+        header.addEventListener('mousedown', startPanelDrag);
+        
+        const body = panelElement('div', 'padding:8px;');
+        const limitRow = panelElement('div', 'display:flex;justify-content:space-between;margin-bottom:4px;');
+        const limitLabel = panelElement('span', 'font-weight:bold;');
+        limitRow.appendChild(panelElement('span', '', '프레임당 반복'));
+        limitRow.appendChild(limitLabel);
+        
+        const slider = panelElement('input', 'width:100%;margin:0 0 6px;');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = String(PANEL_SLIDER_MAX);
+        slider.step = '1';
+        slider.addEventListener('input', () => {
+            panel.sliding = true;
+            limitLabel.textContent = formatCount(sliderToLimit(Number(slider.value))) + '회';
+        });
+        slider.addEventListener('change', () => {
+            panel.sliding = false;
+            config.setLoopLimit(sliderToLimit(Number(slider.value)));
+            refreshPanel();
+        });
+        
+        const unlimitedRow = panelElement('label', 'display:flex;align-items:center;gap:4px;margin-bottom:6px;cursor:pointer;');
+        const unlimited = panelElement('input', '');
+        unlimited.type = 'checkbox';
+        unlimited.addEventListener('change', () => {
+            if (unlimited.checked) {
+                config.setUnlimitedMode(true);
+            } else {
+                config.setUnlimitedMode(false);
+                config.setLoopLimit(sliderToLimit(Number(slider.value)));
             }
-            
-            this.isUpdateTime = 0;
-            shouldNotifyWatch && watchEvent.notify(executedBlocks);
-            if (result && result.promises) {
-                Entry.engine.addPromiseExecutor(result.promises);
+            refreshPanel();
+        });
+        unlimitedRow.appendChild(unlimited);
+        unlimitedRow.appendChild(panelElement('span', '', '무제한'));
+        
+        const readout = panelElement('div', 'padding:4px 6px;margin-bottom:6px;background:#f2f5fb;border-radius:4px;' +
+            'font-family:monospace;white-space:pre;');
+        
+        const resetButton = panelElement('button', 'width:100%;padding:4px;border:1px solid #c8d2e6;border-radius:4px;background:#fff;cursor:pointer;', '초기화');
+        resetButton.title = 'resetEntryLimits()와 같습니다';
+        resetButton.addEventListener('click', () => {
+            config.reset();
+        });
+        
+        body.appendChild(limitRow);
+        body.appendChild(slider);
+        body.appendChild(unlimitedRow);
+        body.appendChild(readout);
+        body.appendChild(resetButton);
+        root.appendChild(header);
+        root.appendChild(body);
+        
+        Object.assign(panel, {
+            root: root,
+            body: body,
+            slider: slider,
+            limitLabel: limitLabel,
+            unlimited: unlimited,
+            readout: readout,
+            collapseButton: collapseButton
+        });
+        setPanelCollapsed(panel.collapsed);
+    }
+    
+    function refreshPanel() {
+        refreshSpeedControl();
+        if (!panel.root) return;
+        const config = window.EntryLimitConfig;
+        const unlimited = config.unlimitedMode || config.loopExecutionsPerFrame === Infinity;
+        panel.unlimited.checked = unlimited;
+        panel.slider.disabled = unlimited;
+        if (!panel.sliding) {
+            if (!unlimited) panel.slider.value = String(limitToSlider(config.loopExecutionsPerFrame));
+            if (config.timeBudget !== null) panel.limitLabel.textContent = '시간 예산 ' + config.timeBudget + 'ms';
+            else panel.limitLabel.textContent = unlimited ? '무제한' : formatCount(config.loopExecutionsPerFrame) + '회';
+        }
+        panel.readout.textContent = '지난 프레임 ' + formatCount(config.stats.lastFrameIterations) + '회\\n평균 ' + formatCount(config.stats.averageIterations) + '회';
+    }
+    
+    function showPanel() {
+        if (!panel.root) {
+            createPanel();
+            document.body.appendChild(panel.root);
+            placePanel();
+        }
+        panel.root.style.display = 'block';
+        refreshPanel();
+        if (panel.timer === null) panel.timer = panelTimers.setInterval.call(window, refreshPanel, 250);
+    }
+    
+    function hidePanel() {
+        if (panel.timer !== null) {
+            panelTimers.clearInterval.call(window, panel.timer);
+            panel.timer = null;
+        }
+        if (panel.root) panel.root.style.display = 'none';
+    }
+    
+    const TURBO_LEVELS = [
+        { id: 'x1', label: '터보', limit: 1000 },
+        { id: 'x10', label: 'x10', limit: 10000 },
+        { id: 'x100', label: 'x100', limit: 100000 },
+        { id: 'unlimited', label: '∞', limit: Infinity }
+    ];
+    const speedControl = { cells: [], savedFPS: null, internal: false };
+    
+    function currentTurboLevel(config) {
+        if (!Entry.isTurbo) return 'off';
+        if (config.timeBudget !== null) return 'custom';
+        const limit = config.unlimitedMode ? Infinity : config.loopExecutionsPerFrame;
+        const level = TURBO_LEVELS.find(item => item.limit === limit);
+        return level ? level.id : 'custom';
+    }
+    
+    function fastestSpeed() {
+        const speeds = Entry.engine && Entry.engine.speeds;
+        return Array.isArray(speeds) && speeds.length > 0 ? Math.max.apply(null, speeds) : null;
+    }
+    
+    function setEngineSpeed(fps) {
+        speedControl.internal = true;
+        try {
+            Entry.engine.setSpeedMeter(fps);
+        } finally {
+            speedControl.internal = false;
+        }
+    }
+    
+    function refreshSpeedControl() {
+        const level = currentTurboLevel(window.EntryLimitConfig);
+        speedControl.cells.forEach(cell => {
+            const active = cell.getAttribute('data-turbo-level') === level;
+            cell.style.background = active ? '#4f80ff' : '';
+            cell.style.color = active ? '#fff' : '';
+        });
+    }
+    
+    function addTurboCells(engine) {
+        const table = engine.speedProgress_;
+        const row = table && table.querySelector ? table.querySelector('tr') : null;
+        if (!row) return;
+        speedControl.cells = TURBO_LEVELS.map(level => {
+            const cell = document.createElement('td');
+            cell.setAttribute('data-turbo-level', level.id);
+            cell.textContent = level.label;
+            cell.title = level.limit === Infinity ? '터보: 반복 무제한' : '터보: 프레임당 반복 ' + formatCount(level.limit) + '회';
+            cell.style.cssText = 'cursor:pointer;text-align:center;font-size:10px;font-weight:bold;';
+            cell.addEventListener('click', () => window.EntryLimitConfig.setTurboLevel(level.id));
+            row.appendChild(cell);
+            return cell;
+        });
+        refreshSpeedControl();
+    }
+    
+    function removeTurboCells() {
+        speedControl.cells.forEach(cell => {
+            if (cell.parentNode) cell.parentNode.removeChild(cell);
+        });
+        speedControl.cells = [];
+    }
+    
+    if (patchPoints.speedControl.action === 'apply') {
+        const engine = Entry.engine;
+        const originalSetSpeedMeter = engine.setSpeedMeter;
+        const originalToggleSpeedPanel = engine.toggleSpeedPanel;
+        window.EntryLimitConfig.originalMethods.setSpeedMeter = originalSetSpeedMeter;
+        window.EntryLimitConfig.originalMethods.toggleSpeedPanel = originalToggleSpeedPanel;
+        
+        engine.setSpeedMeter = function() {
+            const result = originalSetSpeedMeter.apply(this, arguments);
+            if (!speedControl.internal && Entry.isTurbo) {
+                trackSettingChanges(() => {
+                    Entry.isTurbo = false;
+                });
+                speedControl.savedFPS = null;
             }
+            if (timeScale.scale !== 1) restartEngineTicker();
+            refreshSpeedControl();
+            return result;
         };
         
-        window.EntryLimitConfig.isActive = true;
+        engine.toggleSpeedPanel = function() {
+            removeTurboCells();
+            speedControl.internal = true;
+            let result;
+            try {
+                result = originalToggleSpeedPanel.apply(this, arguments);
+            } finally {
+                speedControl.internal = false;
+            }
+            if (this.speedPanelOn) addTurboCells(this);
+            return result;
+        };
+        
+        if (engine.speedPanelOn) addTurboCells(engine);
+    }
+    
+    const CONFIG_SCHEMA = {
+        loopLimit: { type: 'count', min: 0, infinity: true, method: 'setLoopLimit', read: config => config.loopExecutionsPerFrame, description: '프레임당 반복 실행 횟수' },
+        unlimited: { type: 'boolean', method: 'setUnlimitedMode', read: config => config.unlimitedMode, description: '완전 무제한 모드' },
+        timeBudget: { type: 'positive', nullable: true, method: 'setTimeBudget', read: config => config.timeBudget, description: '프레임당 반복 시간 예산 (ms)' },
+        timeBudgetMaxIterations: { type: 'count', min: 1, infinity: true, optional: true, method: 'setTimeBudget', argument: 1, description: '시간 예산 모드의 보조 횟수 제한' },
+        loopRule: { type: 'count', min: 0, infinity: true, method: 'setLoopLimitFor', argument: 1, description: '오브젝트/블록별 프레임당 반복 횟수' },
+        loopWeight: { type: 'number', min: 0, method: 'setLoopWeightFor', argument: 1, description: '스케줄링 가중치' },
+        minTurns: { type: 'count', min: 0, method: 'setMinTurns', read: config => config.minTurnsPerFrame, description: '실행자별 최소 보장 반복 횟수' },
+        watchdog: { type: 'positive', nullable: true, method: 'setWatchdog', read: config => config.watchdogMs, description: '한 tick에 허용할 최대 시간 (ms)' },
+        maxCallDepth: { type: 'count', min: 1, infinity: true, method: 'setMaxCallDepth', read: config => config.maxCallDepth, description: '함수 호출 최대 깊이' },
+        isolateErrors: { type: 'boolean', method: 'setErrorIsolation', read: config => config.isolateErrors, description: '실행 오류 격리' },
+        watchBlockLimit: { type: 'count', min: 0, infinity: true, method: 'setWatchBlockLimit', read: config => config.watchBlockLimit, description: '감시 알림 블록 수 제한' },
+        muteWatch: { type: 'boolean', method: 'setWatchMuted', read: config => config.muteWatchInTurbo, description: '터보 중 감시 알림 끄기' },
+        executeEventPolicy: {
+            type: 'check', check: value => parseExecuteEventPolicy(value) !== null, expects: "'every', 'first-per-frame', 'sampled(n)', 'off' 중 하나",
+            method: 'setExecuteEventPolicy', read: config => config.executeEventPolicy, description: '블록 실행 알림 정책'
+        },
+        tickStrategy: { type: 'enum', values: ['copy', 'wrap'], method: 'setTickStrategy', read: config => config.tickStrategy, description: 'tick 전략' },
+        timeScale: { type: 'positive', method: 'setTimeScale', read: () => timeScale.scale, description: '프로젝트 시간 배율' },
+        turboLevel: {
+            type: 'enum', values: ['off'].concat(TURBO_LEVELS.map(level => level.id)), method: 'setTurboLevel',
+            read: config => currentTurboLevel(config), description: '터보 단계'
+        }
+    };
+    
+    class ConfigError extends TypeError {
+        constructor(key, value, message) {
+            super(message);
+            this.name = 'ConfigError';
+            this.key = key;
+            this.value = value;
+        }
+    }
+    window.EntryLimitConfig.ConfigError = ConfigError;
+    
+    const configChanges = { listeners: [], depth: 0 };
+    
+    function settingKeys() {
+        return Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].read);
+    }
+    
+    function formatSettingValue(value) {
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+    
+    function describeRule(rule) {
+        let text;
+        if (rule.type === 'count') text = rule.min + ' 이상의 정수' + (rule.infinity ? ' 또는 Infinity' : '');
+        else if (rule.type === 'number') text = rule.min + ' 이상의 숫자';
+        else if (rule.type === 'positive') text = '0보다 큰 숫자';
+        else if (rule.type === 'boolean') text = 'true 또는 false';
+        else if (rule.type === 'enum') text = rule.values.map(formatSettingValue).join(', ') + ' 중 하나';
+        else text = rule.expects;
+        return rule.nullable ? text + ' 또는 null' : text;
+    }
+    
+    function matchesRule(rule, value) {
+        if (value === undefined && (rule.optional || rule.nullable)) return true;
+        if (value === null && rule.nullable) return true;
+        if (rule.type === 'count') {
+            return typeof value === 'number' && (value === Infinity ? !!rule.infinity : Number.isInteger(value) && value >= rule.min);
+        }
+        if (rule.type === 'number') return typeof value === 'number' && isFinite(value) && value >= rule.min;
+        if (rule.type === 'positive') return typeof value === 'number' && isFinite(value) && value > 0;
+        if (rule.type === 'boolean') return typeof value === 'boolean';
+        if (rule.type === 'enum') return rule.values.indexOf(value) !== -1;
+        return rule.check(value);
+    }
+    
+    function isAllowedSetting(key, value) {
+        return matchesRule(CONFIG_SCHEMA[key], value);
+    }
+    
+    function checkSetting(key, value) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!matchesRule(rule, value)) {
+            throw new ConfigError(key, value, key + ' 값이 잘못되었습니다: ' + formatSettingValue(value) + ' (' + describeRule(rule) + '만 가능)');
+        }
+    }
+    
+    function settingRule(key) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule || !rule.read) {
+            throw new ConfigError(key, undefined, '알 수 없는 설정입니다: ' + formatSettingValue(key) + ' (' + settingKeys().join(', ') + ')');
+        }
+        return rule;
     }
     
-    Entry.callStackLength = 0;
-    if (Object.defineProperty) {
+    function readSettings() {
+        const values = {};
+        settingKeys().forEach(key => {
+            values[key] = CONFIG_SCHEMA[key].read(window.EntryLimitConfig);
+        });
+        return values;
+    }
+    
+    function trackSettingChanges(run) {
+        const before = configChanges.depth === 0 ? readSettings() : null;
+        configChanges.depth++;
         try {
-            Object.defineProperty(Entry, 'callStackLength', {
-                get: () => 0,
-                set: () => {},
-                configurable: true
-            });
-        } catch (e) {}
+            return run();
+        } finally {
+            configChanges.depth--;
+            if (before) {
+                const after = readSettings();
+                Object.keys(after).filter(key => after[key] !== before[key]).forEach(key => {
+                    const change = { key: key, value: after[key], previous: before[key] };
+                    configChanges.listeners.slice().forEach(listener => {
+                        try {
+                            listener(change);
+                        } catch (e) {
+                            console.warn('⚠️ 설정 변경 알림 처리 중 오류:', e);
+                        }
+                    });
+                });
+            }
+        }
+    }
+    
+    const COPY_ONLY_SETTINGS = {
+        loopRules: '개별 반복 횟수 규칙',
+        loopWeights: '스케줄링 가중치',
+        minTurnsPerFrame: '최소 보장 반복 횟수',
+        executeEventPolicy: '블록 실행 알림 정책',
+        muteWatchInTurbo: '터보 중 감시 알림 끄기',
+        watchBlockLimit: '감시 알림 블록 수 제한'
+    };
+    
+    function copyOnlyLabels() {
+        return Object.keys(COPY_ONLY_SETTINGS).map(key => COPY_ONLY_SETTINGS[key]).join(', ');
+    }
+    
+    function warnCopyOnly(config, key) {
+        if (config.tickStrategy === 'wrap') console.warn('⚠️ 복사본 전략(copy)에서만 적용되는 설정입니다:', COPY_ONLY_SETTINGS[key], '(지금 전략: wrap)');
     }
     
     window.EntryLimitConfig.setLoopLimit = function(count) {
         this.loopExecutionsPerFrame = count;
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setLoopLimitFor = function(target, count) {
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        this.loopRules[key] = count;
+        warnCopyOnly(this, 'loopRules');
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setLoopWeightFor = function(target, weight) {
+        const key = typeof target === 'object' && target !== null ? target.id : target;
+        this.loopWeights[key] = weight;
+        warnCopyOnly(this, 'loopWeights');
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.clearLoopWeightFor = function(target) {
+        if (target === undefined) this.loopWeights = {};
+        else delete this.loopWeights[typeof target === 'object' && target !== null ? target.id : target];
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setMinTurns = function(count) {
+        this.minTurnsPerFrame = count;
+        warnCopyOnly(this, 'minTurnsPerFrame');
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.getExecutorStats = function() {
+        return Array.from(executorStats.values())
+            .map(stats => Object.assign({}, stats))
+            .sort((a, b) => b.lastTurns - a.lastTurns);
+    };
+    
+    window.EntryLimitConfig.clearLoopLimitFor = function(target) {
+        if (target === undefined) this.loopRules = {};
+        else delete this.loopRules[typeof target === 'object' && target !== null ? target.id : target];
+        persistSettings(this);
         return this;
     };
     
     window.EntryLimitConfig.setUnlimitedMode = function(enabled) {
         this.unlimitedMode = enabled;
         if (enabled) this.loopExecutionsPerFrame = Infinity;
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setTimeBudget = function(ms, maxIterations) {
+        if (ms === null || ms === undefined) {
+            this.timeBudget = null;
+            this.timeBudgetMaxIterations = Infinity;
+        } else {
+            this.timeBudget = ms;
+            this.timeBudgetMaxIterations = maxIterations === undefined ? Infinity : maxIterations;
+        }
+        persistSettings(this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.setWatchdog = function(ms) {
+        this.watchdogMs = ms === undefined ? null : ms;
+        return this;
+    };
+    
+    window.EntryLimitConfig.getStalledExecutors = function() {
+        return stalledExecutors.map(entry => ({
+            id: entry.id,
+            objectId: entry.objectId,
+            objectName: entry.objectName,
+            blockId: entry.blockId,
+            elapsed: entry.elapsed,
+            executor: entry.executor
+        }));
+    };
+    
+    window.EntryLimitConfig.resumeExecutor = function(id) {
+        const entry = takeStalled(id);
+        if (!entry) return false;
+        if (!entry.executor.isEnd()) entry.code.executors.push(entry.executor);
+        return true;
+    };
+    
+    window.EntryLimitConfig.killExecutor = function(id) {
+        const entry = takeStalled(id);
+        if (!entry) return false;
+        entry.executor.end();
+        return true;
+    };
+    
+    window.EntryLimitConfig.setMaxCallDepth = function(depth) {
+        this.maxCallDepth = depth;
+        return this;
+    };
+    
+    window.EntryLimitConfig.setErrorIsolation = function(enabled) {
+        this.isolateErrors = !!enabled;
+        return this;
+    };
+    
+    window.EntryLimitConfig.getErrors = function() {
+        return errorLog.entries.slice();
+    };
+    
+    window.EntryLimitConfig.clearErrors = function() {
+        errorLog.entries = [];
+        return this;
+    };
+    
+    window.EntryLimitConfig.onError = function(callback) {
+        errorLog.handler = typeof callback === 'function' ? callback : null;
+        return this;
+    };
+    
+    const HOOK_METHODS = {
+        onTickStart: 'tickStart',
+        onTickEnd: 'tickEnd',
+        onLimitReached: 'limitReached',
+        onExecutorEnd: 'executorEnd',
+        onInstall: 'install',
+        onReset: 'reset'
+    };
+    Object.keys(HOOK_METHODS).forEach(method => {
+        const name = HOOK_METHODS[method];
+        window.EntryLimitConfig[method] = function(callback) {
+            if (typeof callback !== 'function') {
+                console.warn('⚠️ 훅에는 함수를 넘겨야 합니다:', method, callback);
+                return this;
+            }
+            if (this.hooks[name].indexOf(callback) === -1) this.hooks[name].push(callback);
+            if (name === 'install' && this.isActive) callHook(name, callback, this);
+            return this;
+        };
+    });
+    
+    window.EntryLimitConfig.offHook = function(callback) {
+        Object.keys(this.hooks).forEach(name => {
+            this.hooks[name] = callback === undefined ? [] : this.hooks[name].filter(item => item !== callback);
+        });
+        return this;
+    };
+    
+    window.EntryLimitConfig.setWatchBlockLimit = function(count) {
+        this.watchBlockLimit = count;
+        warnCopyOnly(this, 'watchBlockLimit');
+        return this;
+    };
+    
+    window.EntryLimitConfig.setWatchMuted = function(muted) {
+        this.muteWatchInTurbo = !!muted;
+        warnCopyOnly(this, 'muteWatchInTurbo');
+        return this;
+    };
+    
+    window.EntryLimitConfig.setExecuteEventPolicy = function(policy) {
+        this.executeEventPolicy = policy;
+        warnCopyOnly(this, 'executeEventPolicy');
+        return this;
+    };
+    
+    window.EntryLimitConfig.profile = {
+        start: function() {
+            profiler.blocks.clear();
+            profiler.executors.clear();
+            profiler.frames = 0;
+            profiler.running = true;
+            return this;
+        },
+        
+        stop: function() {
+            profiler.running = false;
+            return this;
+        },
+        
+        report: function(limit) {
+            const count = limit === undefined ? 20 : limit;
+            const blocks = rankProfile(profiler.blocks, count);
+            const executors = rankProfile(profiler.executors, count);
+            const ms = value => Math.round(value * 100) / 100;
+            console.table(blocks.map(entry => ({
+                블록: entry.blockId,
+                종류: entry.blockType,
+                오브젝트: entry.objectName,
+                실행: entry.executions,
+                '시간(ms)': ms(entry.time),
+                '프레임당 실행': ms(entry.executionsPerFrame),
+                '프레임당 시간(ms)': ms(entry.timePerFrame),
+                '최대 프레임 시간(ms)': ms(entry.peakFrameTime)
+            })));
+            console.table(executors.map(entry => ({
+                오브젝트: entry.objectName,
+                '시작 블록': entry.startBlockId,
+                실행: entry.executions,
+                '시간(ms)': ms(entry.time),
+                '프레임당 시간(ms)': ms(entry.timePerFrame),
+                '최대 프레임 시간(ms)': ms(entry.peakFrameTime)
+            })));
+            return { frames: profiler.frames, blocks: blocks, executors: executors };
+        }
+    };
+    
+    window.EntryLimitConfig.trace = {
+        start: function(names, capacity) {
+            const size = capacity === undefined ? 10000 : capacity;
+            if (!Number.isInteger(size) || size < 1) {
+                console.warn('⚠️ 기록 용량은 1 이상의 정수여야 합니다:', capacity);
+                return this;
+            }
+            recorder.watches = resolveWatches(names);
+            recorder.buffer = [];
+            recorder.capacity = size;
+            recorder.next = 0;
+            recorder.dropped = 0;
+            recorder.watches.forEach(watch => pushTrace(traceEntry(watch, null, null, 0)));
+            recorder.running = true;
+            return this;
+        },
+        
+        stop: function() {
+            recorder.running = false;
+            return this;
+        },
+        
+        clear: function() {
+            recorder.buffer = [];
+            recorder.next = 0;
+            recorder.dropped = 0;
+            return this;
+        },
+        
+        entries: function() {
+            return traceEntries();
+        },
+        
+        exportJSON: function() {
+            return JSON.stringify(traceEntries());
+        },
+        
+        exportCSV: function() {
+            const columns = ['tick', 'iteration', 'objectName', 'blockId', 'blockType', 'name', 'kind', 'value'];
+            const lines = traceEntries().map(entry => columns.map(column => csvCell(entry[column])).join(','));
+            return [columns.join(',')].concat(lines).join('\\n');
+        },
+        
+        download: function(format) {
+            const isJSON = format === 'json';
+            const blob = new Blob([isJSON ? this.exportJSON() : this.exportCSV()], {
+                type: isJSON ? 'application/json' : 'text/csv'
+            });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'entry-trace.' + (isJSON ? 'json' : 'csv');
+            link.click();
+            URL.revokeObjectURL(link.href);
+            return this;
+        }
+    };
+    
+    const STEP_MODES = { tick: stepTick, iteration: stepIteration, block: stepBlock };
+    window.EntryLimitConfig.debug = {
+        pause: function() {
+            debugState.paused = true;
+            debugState.steps = 0;
+            return this;
+        },
+        
+        resume: function() {
+            debugState.paused = false;
+            debugState.breakHit = false;
+            return this;
+        },
+        
+        isPaused: function() {
+            return debugState.paused;
+        },
+        
+        step: function(mode) {
+            const stepMode = mode === undefined ? 'tick' : mode;
+            if (!Object.prototype.hasOwnProperty.call(STEP_MODES, stepMode)) {
+                console.warn('⚠️ 지원하지 않는 단계입니다:', mode, "- 'tick', 'iteration', 'block' 중 하나를 쓰세요.");
+                return null;
+            }
+            if (stepMode === 'block' && patchPoints.blockStep.action === 'skip') {
+                console.warn('⚠️ 블록 단위 단계를 쓸 수 없습니다:', patchPoints.blockStep.detail);
+                return null;
+            }
+            if (!debugState.paused) this.pause();
+            
+            const before = readVariables();
+            debugState.breakHit = false;
+            debugState.executed = [];
+            debugState.stepping = true;
+            try {
+                STEP_MODES[stepMode]();
+            } finally {
+                debugState.stepping = false;
+            }
+            const executed = debugState.executed;
+            debugState.executed = [];
+            debugState.steps++;
+            
+            const changes = diffVariables(before, readVariables());
+            printStep(stepMode, executed, changes);
+            return {
+                mode: stepMode,
+                executed: executed.map(entry => Object.assign(describeExecutor(entry.executor), {
+                    executedBlockId: entry.block ? entry.block.id : null
+                })),
+                changes: changes
+            };
+        },
+        
+        breakOnBlock: function(blockId, condition) {
+            return addBreakpoint(blockId, condition);
+        },
+        
+        breakWhen: function(condition) {
+            return addBreakpoint(null, condition);
+        },
+        
+        removeBreakpoint: function(id) {
+            const index = breakpoints.findIndex(item => item.id === id);
+            if (index === -1) return false;
+            breakpoints.splice(index, 1);
+            return true;
+        },
+        
+        clearBreakpoints: function() {
+            breakpoints.length = 0;
+            debugState.skipBlock = null;
+            return this;
+        },
+        
+        getBreakpoints: function() {
+            return breakpoints.map(item => ({
+                id: item.id,
+                label: breakpointLabel(item),
+                blockId: item.blockId,
+                condition: item.condition,
+                hits: item.hits,
+                error: item.error ? item.error.message : null
+            }));
+        },
+        
+        getLastHit: function() {
+            return debugState.lastHit;
+        },
+        
+        enableShortcuts: function() {
+            if (!debugState.shortcuts) {
+                debugState.shortcuts = handleDebugKey;
+                document.addEventListener('keydown', handleDebugKey);
+            }
+            return this;
+        },
+        
+        disableShortcuts: function() {
+            if (debugState.shortcuts) {
+                document.removeEventListener('keydown', debugState.shortcuts);
+                debugState.shortcuts = null;
+            }
+            return this;
+        }
+    };
+    
+    window.EntryLimitConfig.fastForward = function(options) {
+        if (fastForward.running) {
+            console.warn('⚠️ 이미 빨리 감기 중입니다.');
+            return Promise.resolve(null);
+        }
+        if (this.tickStrategy !== 'copy') {
+            console.warn('⚠️ 빨리 감기는 복사본 전략(copy)에서만 쓸 수 있습니다.');
+            return Promise.resolve(null);
+        }
+        if (Entry.engine && typeof Entry.engine.isState === 'function' && !Entry.engine.isState('run')) {
+            console.warn('⚠️ 프로젝트를 먼저 실행하세요.');
+            return Promise.resolve(null);
+        }
+        if (options && options.until !== undefined) {
+            try {
+                compileCondition(options.until);
+            } catch (e) {
+                console.error('❌ 조건식을 해석할 수 없습니다:', options.until, e.message);
+                return Promise.resolve(null);
+            }
+        }
+        return runFastForward(options);
+    };
+    
+    window.EntryLimitConfig.stopFastForward = function() {
+        fastForward.stopRequested = true;
+        return this;
+    };
+    
+    window.EntryLimitConfig.setTimeScale = function(scale) {
+        if (fastForward.running) {
+            console.warn('⚠️ 빨리 감기 중에는 시간 배율을 바꿀 수 없습니다.');
+            return this;
+        }
+        applyTimeScale(scale);
+        const engine = Entry.engine;
+        if (scale !== 1 && engine && typeof engine.start === 'function' && !this.originalMethods.engineStart) {
+            const originalStart = engine.start;
+            this.originalMethods.engineStart = originalStart;
+            engine.start = function(...args) {
+                const result = originalStart.apply(this, args);
+                if (timeScale.scale !== 1) restartEngineTicker();
+                return result;
+            };
+        }
+        restartEngineTicker();
+        if (!this.isActive) Entry.tickTime = engineTickInterval();
+        return this;
+    };
+    
+    window.EntryLimitConfig.resetTimeScale = function() {
+        return this.setTimeScale(1);
+    };
+    
+    window.EntryLimitConfig.exportSettings = function() {
+        return snapshotSettings(this);
+    };
+    
+    window.EntryLimitConfig.importSettings = function(json) {
+        let settings;
+        try {
+            settings = parseSettings(json);
+        } catch (e) {
+            console.error('❌ 설정을 가져올 수 없습니다:', e.message);
+            return false;
+        }
+        Object.assign(this, settings);
+        persistSettings(this);
+        return true;
+    };
+    
+    window.EntryLimitConfig.clearSavedSettings = function() {
+        try {
+            localStorage.removeItem(settingsStorageKey());
+        } catch (e) {
+            console.warn('⚠️ 저장된 설정을 지우지 못했습니다:', e.message);
+        }
+        return this;
+    };
+    
+    window.EntryLimitConfig.panel = {
+        show: function() {
+            if (typeof document === 'undefined' || !document.body) return this;
+            if (!window.EntryLimitConfig.isActive) {
+                console.warn('⚠️ 도구가 꺼져 있어 패널을 띄우지 않습니다. (도구를 다시 실행하세요)');
+                return this;
+            }
+            showPanel();
+            return this;
+        },
+        
+        hide: function() {
+            hidePanel();
+            return this;
+        },
+        
+        toggle: function() {
+            return panel.root && panel.root.style.display !== 'none' ? this.hide() : this.show();
+        },
+        
+        remove: function() {
+            hidePanel();
+            if (panel.root && panel.root.parentNode) panel.root.parentNode.removeChild(panel.root);
+            panel.root = null;
+            return this;
+        }
+    };
+    
+    window.EntryLimitConfig.setTurboLevel = function(level) {
+        const canSetSpeed = patchPoints.speedControl.action === 'apply';
+        if (level === 'off') {
+            Entry.isTurbo = false;
+            if (canSetSpeed && speedControl.savedFPS !== null) setEngineSpeed(speedControl.savedFPS);
+            speedControl.savedFPS = null;
+        } else {
+            const item = TURBO_LEVELS.find(entry => entry.id === level);
+            if (this.timeBudget !== null) this.setTimeBudget(null);
+            if (item.limit === Infinity) {
+                this.setUnlimitedMode(true);
+            } else {
+                if (this.unlimitedMode) this.setUnlimitedMode(false);
+                this.setLoopLimit(item.limit);
+            }
+            Entry.isTurbo = true;
+            const fastest = fastestSpeed();
+            if (canSetSpeed && fastest !== null && Entry.FPS !== fastest) {
+                if (speedControl.savedFPS === null) speedControl.savedFPS = Entry.FPS;
+                setEngineSpeed(fastest);
+            }
+        }
+        refreshSpeedControl();
+        refreshPanel();
+        return this;
+    };
+    
+    window.EntryLimitConfig.getTurboLevel = function() {
+        return currentTurboLevel(this);
+    };
+    
+    window.EntryLimitConfig.setTickStrategy = function(strategy) {
+        if (strategy === 'copy' && !canCopyTick) return this;
+        this.tickStrategy = strategy;
+        if (this.isActive) Entry.Code.prototype.tick = tickStrategies[strategy];
+        if (strategy === 'wrap') console.warn('⚠️ 래핑 전략에서는 적용되지 않는 설정:', copyOnlyLabels());
         return this;
     };
     
@@ -132,17 +2652,197 @@ script.textContent = `
         if (this.originalMethods.tick && Entry.Code && Entry.Code.prototype) {
             Entry.Code.prototype.tick = this.originalMethods.tick;
         }
+        if (this.originalMethods.executorExecute && Entry.Executor) {
+            Entry.Executor.prototype.execute = this.originalMethods.executorExecute;
+        }
+        if (this.originalMethods.maximumCallStack !== undefined && Entry.Executor) {
+            Entry.Executor.MAXIMUM_CALLSTACK = this.originalMethods.maximumCallStack;
+        }
+        if (this.originalMethods.stopProjectWithToast && Entry.Utils) {
+            Entry.Utils.stopProjectWithToast = this.originalMethods.stopProjectWithToast;
+        }
+        if (patchPoints.callStackLength.action !== 'skip') {
+            const callStackLength = callDepth.counter;
+            delete Entry.callStackLength;
+            Entry.callStackLength = callStackLength;
+        }
+        removeTurboCells();
+        if (this.originalMethods.setSpeedMeter && Entry.engine) {
+            Entry.engine.setSpeedMeter = this.originalMethods.setSpeedMeter;
+            Entry.engine.toggleSpeedPanel = this.originalMethods.toggleSpeedPanel;
+            delete this.originalMethods.setSpeedMeter;
+            delete this.originalMethods.toggleSpeedPanel;
+            if (speedControl.savedFPS !== null) Entry.engine.setSpeedMeter(speedControl.savedFPS);
+        }
+        speedControl.savedFPS = null;
+        fastForward.stopRequested = true;
+        if (fastForward.running) {
+            fastForward.restoreOnEnd = true;
+        } else {
+            restoreRealTiming();
+        }
+        if (this.originalMethods.engineStart && Entry.engine) {
+            Entry.engine.start = this.originalMethods.engineStart;
+            delete this.originalMethods.engineStart;
+        }
+        debugState.paused = false;
+        debugState.breakHit = false;
+        this.debug.disableShortcuts();
+        this.panel.remove();
+        while (stalledExecutors.length) {
+            this.resumeExecutor(stalledExecutors[0].id);
+        }
         Entry.isTurbo = false;
         Entry.tickTime = Math.floor(1000 / (Entry.FPS || 60));
         this.isActive = false;
+        runHooks('reset', this);
+        return this;
+    };
+    
+    window.EntryLimitConfig.diagnose = function() {
+        const rows = {};
+        Object.keys(this.compat).forEach(id => {
+            const point = this.compat[id];
+            rows[point.label] = { 상태: point.status, 적용: PATCH_ACTIONS[point.action], 설명: point.detail };
+        });
+        console.table(rows);
+        return this.compat;
+    };
+    
+    window.EntryLimitConfig.status = function() {
+        console.log('- 활성화:', this.isActive);
+        console.log('- tick 전략:', this.tickStrategy);
+        if (this.tickStrategy === 'wrap') console.log('- 래핑 전략이라 적용되지 않는 설정:', copyOnlyLabels());
+        console.log('- 프레임당 반복 횟수:', this.loopExecutionsPerFrame === Infinity ? '무제한' : this.loopExecutionsPerFrame);
+        console.log('- 시간 예산:', this.timeBudget === null ? '사용 안 함' : this.timeBudget + 'ms');
+        console.log('- 지난 프레임 반복 횟수:', this.stats.lastFrameIterations);
+        console.log('- 평균 프레임 반복 횟수:', Math.round(this.stats.averageIterations));
+        console.log('- 전부 대기 중이라 일찍 끝낸 횟수:', this.stats.idleSweepExits);
+        console.log('- 워치독:', this.watchdogMs === null ? '사용 안 함' : this.watchdogMs + 'ms');
+        console.log('- 멈춘 실행자:', stalledExecutors.length + '개');
+        console.log('- 디버거:', debugState.paused ? '멈춤' : '실행 중');
+        console.log('- 중단점:', breakpoints.length + '개');
+        console.log('- 빨리 감기:', fastForward.running ? '진행 중' : '꺼짐');
+        console.log('- 시간 배율:', timeScale.scale + '배');
+        console.log('- 터보 단계:', Entry.isTurbo ? currentTurboLevel(this) : '꺼짐 (Entry 속도 ' + Entry.FPS + ')');
+        console.log('- 함수 호출 최대 깊이:', this.maxCallDepth === Infinity ? '무제한' : this.maxCallDepth);
+        const hookCount = Object.keys(this.hooks).reduce((sum, name) => sum + this.hooks[name].length, 0);
+        console.log('- 수명 주기 훅:', hookCount + '개', hookState.errors > 0 ? '(오류 ' + hookState.errors + '회)' : '');
+        console.log('- 실행 오류 격리:', this.isolateErrors ? '켜짐' : '꺼짐', '(기록 ' + errorLog.entries.length + '개)');
+        console.log('- 설정 저장 위치:', 'localStorage "' + settingsStorageKey() + '"',
+            persistence.lastError ? '(오류: ' + persistence.lastError.message + ')' : '');
         return this;
     };
     
+    const SETTING_MUTATORS = ['importSettings', 'reset'];
+    const checkedArguments = {};
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+        const rule = CONFIG_SCHEMA[key];
+        checkedArguments[rule.method] = (checkedArguments[rule.method] || []).concat({ key: key, index: rule.argument || 0 });
+    });
+    Object.keys(checkedArguments).concat(SETTING_MUTATORS).forEach(name => {
+        const original = window.EntryLimitConfig[name];
+        const checks = checkedArguments[name] || [];
+        window.EntryLimitConfig[name] = function() {
+            checks.forEach(check => checkSetting(check.key, arguments[check.index]));
+            return trackSettingChanges(() => original.apply(this, arguments));
+        };
+    });
+    
+    window.EntryConfig = {
+        tool: 'EntryLimitConfig',
+        schema: CONFIG_SCHEMA,
+        ConfigError: ConfigError,
+        
+        get: function(key) {
+            if (key === undefined) return readSettings();
+            return settingRule(key).read(window.EntryLimitConfig);
+        },
+        
+        set: function(key, value) {
+            const changes = typeof key === 'object' && key !== null ? key : { [key]: value };
+            Object.keys(changes).forEach(name => {
+                settingRule(name);
+                checkSetting(name, changes[name]);
+            });
+            const config = window.EntryLimitConfig;
+            trackSettingChanges(() => {
+                Object.keys(changes).forEach(name => config[CONFIG_SCHEMA[name].method](changes[name]));
+            });
+            return this;
+        },
+        
+        describe: function() {
+            const rows = {};
+            settingKeys().forEach(key => {
+                const rule = CONFIG_SCHEMA[key];
+                rows[key] = {
+                    설명: rule.description,
+                    '허용 값': describeRule(rule),
+                    '현재 값': formatSettingValue(rule.read(window.EntryLimitConfig)),
+                    '설정 함수': 'EntryLimitConfig.' + rule.method
+                };
+            });
+            console.table(rows);
+            return this;
+        },
+        
+        onChange: function(callback) {
+            if (typeof callback === 'function' && configChanges.listeners.indexOf(callback) === -1) configChanges.listeners.push(callback);
+            return this;
+        },
+        
+        offChange: function(callback) {
+            configChanges.listeners = configChanges.listeners.filter(listener => listener !== callback);
+            return this;
+        }
+    };
+    
+    function settingsView(fields) {
+        const view = {};
+        Object.keys(fields).forEach(name => {
+            Object.defineProperty(view, name, {
+                enumerable: true,
+                get: () => window.EntryConfig.get(fields[name]),
+                set: value => {
+                    window.EntryConfig.set(fields[name], value);
+                }
+            });
+        });
+        return view;
+    }
+    
+    if (!window.EntryExecutionConfig || window.EntryExecutionConfig.isShim) {
+        window.EntryExecutionConfig = {
+            isShim: true,
+            loopSettings: settingsView({ maxExecutionsPerFrame: 'loopLimit' }),
+            functionSettings: settingsView({ maxCallStackDepth: 'maxCallDepth' }),
+            globalSettings: settingsView({ unlimitedExecution: 'unlimited' }),
+            setLoopLimit: maxExecutions => {
+                window.EntryConfig.set('loopLimit', maxExecutions);
+            },
+            setUnlimitedMode: enabled => {
+                window.EntryConfig.set('unlimited', enabled);
+            },
+            setFunctionDepthLimit: maxDepth => {
+                window.EntryConfig.set('maxCallDepth', maxDepth);
+            },
+            reset: () => {
+                window.EntryLimitConfig.reset();
+            },
+            status: () => window.EntryLimitConfig.status()
+        };
+    }
+    
     window.setLoopLimit = window.EntryLimitConfig.setLoopLimit.bind(window.EntryLimitConfig);
     window.setUnlimitedLoop = () => window.EntryLimitConfig.setLoopLimit(Infinity);
     window.resetEntryLimits = window.EntryLimitConfig.reset.bind(window.EntryLimitConfig);
     
-    window.EntryLimitConfig.setLoopLimit(1000);
+    window.EntryLimitConfig.setTurboLevel('x1');
+    restoreSettings(window.EntryLimitConfig);
+    persistence.enabled = true;
+    if (typeof document !== 'undefined' && document.body) window.EntryLimitConfig.panel.show();
+    runHooks('install', window.EntryLimitConfig);
 })();
 `;
 iframe.contentDocument.head.appendChild(script);